@@ -6,6 +6,10 @@
 const { addonBuilder } = require('stremio-addon-sdk');
 const manifest = require('./manifest.json');
 const translationService = require('./lib/translation');
+const pipeline = require('./lib/pipeline');
+const jobs = require('./lib/jobs');
+const configService = require('./lib/config');
+const { parseStremioExtra } = require('./lib/utils');
 const os = require('os');
 const networkInterfaces = os.networkInterfaces;
 
@@ -28,60 +32,98 @@ const getLocalIp = () => {
   return localIp;
 };
 
+// Translations start when Stremio fetches the file. Starting them as soon as the list is
+// requested saves time, but spends quota on every target language whether it's watched or not
+const TRANSLATE_ON_LIST = process.env.TRANSLATE_ON_LIST === 'true';
+
 // Create the addon builder with the manifest
 const builder = new addonBuilder(manifest);
 
+/**
+ * Build the subtitle option that points Stremio at our translation route
+ * @param {string} id - Media ID
+ * @param {string} lang - Target language code
+ * @param {string} configSegment - Encoded user configuration, or '' for the defaults
+ * @param {boolean} passthrough - True when an existing subtitle in this language is served as-is
+ * @param {Object} extra - Extras of the Stremio request, passed on so the translation can search with them
+ * @param {string} format - 'vtt', or 'ass'/'ssa' for the styled version of an ASS/SSA source
+ * @returns {Object} - Subtitle object
+ */
+const buildTranslationOption = (id, lang, configSegment = '', passthrough = false, extra = {}, format = 'vtt') => {
+  // Get the local IP and port
+  const localIp = getLocalIp();
+  const port = process.env.PORT || 7000;
+  const prefix = configSegment ? `/${configSegment}` : '';
+  const query = new URLSearchParams(extra).toString();
+  
+  // Get the language name for display
+  const targetLangName = translationService.getLanguageName(lang);
+  const styled = format !== 'vtt';
+  const label = styled ? ` (${format.toUpperCase()})` : '';
+  
+  return {
+    id: styled ? `translate_${lang}_${format}` : `translate_${lang}`,
+    url: `http://${localIp}:${port}${prefix}/subtitles/${id}/translate_${lang}.${format}${query ? `?${query}` : ''}`,
+    lang,
+    langName: passthrough ? targetLangName : `${targetLangName} (AI)`,
+    title: passthrough ? `⭐ ${targetLangName} - Original${label}` : `⭐ ${targetLangName} - AI Translation${label}`,
+    rating: 10
+  };
+};
+
 /**
  * Define the subtitles handler for ALL video types
  * This is called by Stremio when it needs subtitle options for a video
+ * Returns one option per configured target language
  */
-builder.defineSubtitlesHandler((args, callback) => {
+builder.defineSubtitlesHandler(async (args) => {
   const { type, id } = args;
+  const extra = parseStremioExtra(args.extra);
   console.log(`Subtitle request received for ${type}/${id}`);
   
-  // Default to Greek if no language is specified
-  const userLang = 'el';
+  // Use the configuration from the install URL, falling back to the defaults
+  const hasConfig = !!args.config && Object.keys(args.config).length > 0;
+  const userConfig = configService.normalizeConfig(args.config);
+  const configSegment = hasConfig ? configService.encodeConfig(userConfig) : '';
+  const targetLangs = userConfig.targetLanguages;
   
   try {
-    // Get the local IP and port
-    const localIp = getLocalIp();
-    const port = process.env.PORT || 7000;
-    
-    // Get the language name for display
-    const targetLangName = translationService.getLanguageName(userLang);
+    const subtitles = [];
     
-    // Create our subtitle option
-    const subtitles = [
-      {
-        id: `translate_${userLang}`,
-        url: `http://${localIp}:${port}/subtitles/${id}/translate_${userLang}.vtt`,
-        lang: userLang,
-        langName: `${targetLangName} (AI)`,
-        title: `⭐ ${targetLangName} - AI Translation`,
-        rating: 10
+    for (const lang of targetLangs) {
+      // Only offer a language when there is something to translate from
+      const source = await pipeline.findSourceSubtitle(type, id, lang, userConfig, extra);
+      
+      if (!source) {
+        console.log(`No source subtitles found for ${type}/${id} in ${lang}`);
+        continue;
+      }
+      
+      console.log(`Best source subtitle for ${id} in ${lang}: ${source.id} (${source.lang})`);
+      
+      // Start translating in the background now if asked to, so the file is further along when it gets requested
+      const job = TRANSLATE_ON_LIST
+        ? jobs.startTranslationJob(type, id, lang, userConfig, extra)
+        : jobs.getJob(jobs.getJobKey(id, lang, userConfig, extra));
+      
+      subtitles.push(buildTranslationOption(id, lang, configSegment, source.lang === lang, extra));
+      
+      // ASS/SSA sources are also offered with their styles and positioning, for players that render them.
+      // Downloads may only turn out to be ASS once fetched, so a finished job's result counts too
+      const styled = job && job.result && job.result.styled;
+      const styledFormat = styled ? styled.format : source.format;
+      if (pipeline.isStyledFormat(styledFormat)) {
+        subtitles.push(buildTranslationOption(id, lang, configSegment, source.lang === lang, extra, styledFormat));
       }
-    ];
+    }
     
     console.log(`Returning ${subtitles.length} subtitle options`);
-    callback(null, { subtitles });
+    return { subtitles };
   } catch (error) {
     console.error(`Error in subtitle handler: ${error.message}`);
     
-    // Even if there's an error, return at least our translation option
-    const localIp = getLocalIp();
-    const port = process.env.PORT || 7000;
-    const targetLangName = translationService.getLanguageName(userLang);
-    
-    callback(null, {
-      subtitles: [{
-        id: `translate_${userLang}`,
-        url: `http://${localIp}:${port}/subtitles/${id}/translate_${userLang}.vtt`,
-        lang: userLang,
-        langName: `${targetLangName} (AI)`,
-        title: `⭐ ${targetLangName} - AI Translation`,
-        rating: 10
-      }]
-    });
+    // Even if there's an error, return at least our translation options
+    return { subtitles: targetLangs.map(lang => buildTranslationOption(id, lang, configSegment, false, extra)) };
   }
 });
 
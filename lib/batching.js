@@ -0,0 +1,149 @@
+/**
+ * batching.js - Token-aware, adaptive batching of subtitle cues
+ * Batches are sized to fit a provider's output token limit and shrink or grow
+ * depending on how cleanly the provider answered previous batches
+ */
+
+// Translations can come out longer than the source, and some scripts need more tokens
+const OUTPUT_EXPANSION = 1.5;
+
+// JSON wrapping per cue ({"id":"123","text":"..."})
+const PER_CUE_OVERHEAD = 12;
+
+// Share of the output limit a batch may use, to leave room for estimation errors
+const OUTPUT_BUDGET_RATIO = 0.75;
+
+// Growth factor after a clean reply
+const GROWTH_FACTOR = 1.25;
+
+/**
+ * Roughly estimate the number of tokens in a text
+ * About 3 bytes of UTF-8 per token holds up for both Latin and non-Latin scripts
+ * @param {string} text - Text to estimate
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(Buffer.byteLength(text || '', 'utf8') / 3);
+}
+
+/**
+ * Estimate how many output tokens translating a cue will take
+ * @param {Object} item - Cue as { id, text }
+ * @returns {number} - Estimated token count
+ */
+function estimateCueTokens(item) {
+  return Math.ceil(estimateTokens(item.text) * OUTPUT_EXPANSION) + PER_CUE_OVERHEAD;
+}
+
+/**
+ * Get the token budget for one batch sent to a provider
+ * @param {Object} provider - Translation provider
+ * @returns {number} - Token budget (Infinity for providers without token limits)
+ */
+function getTokenBudget(provider) {
+  const { maxOutputTokens, contextWindow } = provider.capabilities;
+  const budgets = [];
+
+  if (maxOutputTokens) {
+    budgets.push(Math.floor(maxOutputTokens * OUTPUT_BUDGET_RATIO));
+  }
+
+  if (contextWindow) {
+    // The prompt carries the source text as well as the instructions
+    budgets.push(Math.floor(contextWindow / 4));
+  }
+
+  return budgets.length > 0 ? Math.min(...budgets) : Infinity;
+}
+
+/**
+ * Take cues from a list until either the cue limit or the token budget is reached
+ * Always takes at least one cue, so oversized cues still get sent on their own
+ * @param {Array<Object>} items - Cues as { id, text }
+ * @param {number} start - Index of the first cue to take
+ * @param {number} maxCues - Maximum number of cues
+ * @param {number} tokenBudget - Maximum estimated tokens
+ * @returns {Array<Object>} - The batch
+ */
+function takeBatch(items, start, maxCues, tokenBudget) {
+  const batch = [];
+  let tokens = 0;
+
+  for (let i = start; i < items.length && batch.length < maxCues; i++) {
+    const cueTokens = estimateCueTokens(items[i]);
+
+    if (batch.length > 0 && tokens + cueTokens > tokenBudget) {
+      break;
+    }
+
+    batch.push(items[i]);
+    tokens += cueTokens;
+  }
+
+  return batch;
+}
+
+/**
+ * Split cues into batches that fit a provider's limits
+ * @param {Array<Object>} items - Cues as { id, text }
+ * @param {Object} provider - Translation provider
+ * @returns {Array<Array<Object>>} - Batches
+ */
+function splitIntoBatches(items, provider) {
+  const budget = getTokenBudget(provider);
+  const batches = [];
+
+  for (let start = 0; start < items.length;) {
+    const batch = takeBatch(items, start, provider.capabilities.maxBatchSize, budget);
+    batches.push(batch);
+    start += batch.length;
+  }
+
+  return batches;
+}
+
+/**
+ * Create an adaptive batcher for one translation job
+ * @param {Object} provider - The provider the batches are sized for
+ * @returns {Object} - Batcher with next(), recordClean() and recordProblem()
+ */
+function createAdaptiveBatcher(provider) {
+  const maxSize = provider.capabilities.maxBatchSize;
+  const budget = getTokenBudget(provider);
+  let size = Math.min(maxSize, provider.capabilities.initialBatchSize || maxSize);
+
+  return {
+    /**
+     * Take the next batch, starting at the given cue index
+     * @param {Array<Object>} items - Cues as { id, text }
+     * @param {number} start - Index of the first cue to take
+     * @param {number} limit - Optional cap on the number of cues, below the current batch size
+     * @returns {Array<Object>} - The batch
+     */
+    next(items, start, limit = Infinity) {
+      return takeBatch(items, start, Math.min(size, limit), budget);
+    },
+
+    // A reply came back complete and untruncated: allow bigger batches
+    recordClean() {
+      size = Math.min(maxSize, Math.ceil(size * GROWTH_FACTOR));
+    },
+
+    // A reply was truncated or didn't match the request: halve the batch size
+    recordProblem() {
+      size = Math.max(1, Math.floor(size / 2));
+    },
+
+    get size() {
+      return size;
+    }
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  estimateCueTokens,
+  getTokenBudget,
+  splitIntoBatches,
+  createAdaptiveBatcher
+};
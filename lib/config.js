@@ -0,0 +1,144 @@
+/**
+ * config.js - Per-user add-on configuration
+ * The configuration travels in the install URL (/<config>/manifest.json) so that
+ * several people can install the same server with different settings
+ */
+
+// Defaults used when the add-on is installed without a configuration segment
+const DEFAULT_CONFIG = {
+  targetLanguages: ['el'],
+  sourceLanguages: ['en'],
+  translationStyle: 'natural',
+  sourceAddons: []
+};
+
+// Supported translation styles
+const TRANSLATION_STYLES = ['natural', 'literal'];
+
+// ISO 639-1 codes, optionally with a region (e.g. 'pt-BR')
+const LANGUAGE_CODE_REGEX = /^[a-z]{2}(-[a-z]{2})?$/i;
+
+// Other subtitle add-ons searched for sources, at most this many
+const MAX_SOURCE_ADDONS = 10;
+
+/**
+ * Check whether a value is a language code as configurations and URLs use them
+ * @param {string} code - Language code, e.g. 'el' or 'pt-BR'
+ * @returns {boolean} - True if the code is valid
+ */
+function isValidLanguageCode(code) {
+  return typeof code === 'string' && LANGUAGE_CODE_REGEX.test(code);
+}
+
+/**
+ * Normalize a list of language codes, dropping invalid entries and duplicates
+ * @param {any} value - Array or comma separated string of language codes
+ * @param {Array} fallback - Value to use when nothing valid remains
+ * @returns {Array} - Array of language codes
+ */
+function normalizeLanguageList(value, fallback) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+
+  const languages = list
+    .map(lang => String(lang).trim())
+    .filter(isValidLanguageCode)
+    .filter((lang, index, all) => all.indexOf(lang) === index);
+
+  return languages.length > 0 ? languages : [...fallback];
+}
+
+/**
+ * Normalize a list of add-on URLs to base URLs, dropping invalid entries and duplicates
+ * Accepts manifest URLs and stremio:// links as copied from Stremio
+ * @param {any} value - Array or comma/newline separated string of URLs
+ * @returns {Array} - Array of base URLs (without /manifest.json)
+ */
+function normalizeAddonList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+
+  return list
+    .map(url => String(url).trim()
+      .replace(/^stremio:\/\//i, 'https://')
+      .replace(/\/manifest\.json$/i, '')
+      .replace(/\/+$/, ''))
+    .filter(url => /^https?:\/\/[^\s/]+/i.test(url))
+    .filter((url, index, all) => all.indexOf(url) === index)
+    .slice(0, MAX_SOURCE_ADDONS);
+}
+
+/**
+ * Fill in defaults and validate a configuration object
+ * @param {Object} config - Raw configuration object
+ * @returns {Object} - Normalized configuration
+ */
+function normalizeConfig(config = {}) {
+  const raw = config || {};
+
+  return {
+    targetLanguages: normalizeLanguageList(raw.targetLanguages, DEFAULT_CONFIG.targetLanguages),
+    sourceLanguages: normalizeLanguageList(raw.sourceLanguages, DEFAULT_CONFIG.sourceLanguages),
+    translationStyle: TRANSLATION_STYLES.includes(raw.translationStyle)
+      ? raw.translationStyle
+      : DEFAULT_CONFIG.translationStyle,
+    sourceAddons: normalizeAddonList(raw.sourceAddons)
+  };
+}
+
+/**
+ * Encode a configuration object into a URL path segment
+ * @param {Object} config - Configuration object
+ * @returns {string} - base64url encoded JSON
+ */
+function encodeConfig(config) {
+  const json = JSON.stringify(normalizeConfig(config));
+  return Buffer.from(json, 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a configuration path segment
+ * Accepts base64url encoded JSON or plain (URL-decoded) JSON
+ * @param {string} segment - Configuration segment from the URL
+ * @returns {Object|null} - Normalized configuration or null if the segment is invalid
+ */
+function decodeConfig(segment) {
+  if (!segment) {
+    return null;
+  }
+
+  try {
+    const json = segment.trim().startsWith('{')
+      ? segment
+      : Buffer.from(segment, 'base64url').toString('utf8');
+
+    const parsed = JSON.parse(json);
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return null;
+    }
+
+    return normalizeConfig(parsed);
+  } catch (error) {
+    console.warn(`Invalid configuration segment: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the configuration for an Express request
+ * Falls back to the defaults when there is no (valid) config segment
+ * @param {Object} req - Express request
+ * @returns {Object} - Normalized configuration
+ */
+function getRequestConfig(req) {
+  return decodeConfig(req.params.config) || normalizeConfig();
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  TRANSLATION_STYLES,
+  isValidLanguageCode,
+  normalizeConfig,
+  encodeConfig,
+  decodeConfig,
+  getRequestConfig
+};
@@ -0,0 +1,271 @@
+/**
+ * disk-cache.js - Persistent key/value cache under cache/
+ * Each cache is a directory with one JSON file per entry and an index.json
+ * recording sizes and access times. Entries expire after a maximum age and the
+ * least recently used ones are evicted once the cache grows past its size limit.
+ * All files are written atomically, and the index is reconciled with the
+ * directory on load, so a crash can't leave a corrupt or orphaned entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ensureDirectoryExists, readJsonFile, writeFileAtomic } = require('./utils');
+
+const CACHE_ROOT = path.join(__dirname, '../cache');
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when the variable is unset or invalid
+ * @returns {number} - The number, which may be 0
+ */
+function readLimit(name, fallback) {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// Limits per cache directory; 0 keeps nothing
+const DEFAULT_MAX_BYTES = readLimit('CACHE_MAX_MB', 500) * 1024 * 1024;
+const DEFAULT_MAX_AGE = readLimit('CACHE_MAX_AGE_DAYS', 30) * 24 * 60 * 60 * 1000;
+
+// Access times are written back to the index at most this often
+const INDEX_SAVE_DELAY = 5000;
+
+const INDEX_FILE = 'index.json';
+
+// Caches by name, for stats
+const caches = {};
+
+/**
+ * Create a persistent cache
+ * @param {string} name - Cache name, used as directory under cache/
+ * @param {Object} options - Cache options
+ * @param {number} options.maxBytes - Size limit in bytes (CACHE_MAX_MB)
+ * @param {number} options.maxAge - Maximum entry age in milliseconds (CACHE_MAX_AGE_DAYS)
+ * @returns {Object} - Cache with get(), set(), delete() and getStats()
+ */
+function createDiskCache(name, options = {}) {
+  const dir = path.join(CACHE_ROOT, name);
+  const indexPath = path.join(dir, INDEX_FILE);
+  const maxBytes = options.maxBytes !== undefined ? options.maxBytes : DEFAULT_MAX_BYTES;
+  const maxAge = options.maxAge !== undefined ? options.maxAge : DEFAULT_MAX_AGE;
+
+  let entries = null; // hash -> { key, size, createdAt, lastAccess }
+  let loading = null;
+  let saveTimer = null;
+  let hits = 0;
+  let misses = 0;
+
+  const hashKey = key => crypto.createHash('sha1').update(key).digest('hex');
+  const entryPath = hash => path.join(dir, `${hash}.json`);
+
+  /**
+   * Load the index and reconcile it with the entry files on disk
+   * @returns {Promise<Object>} - The index entries
+   */
+  async function load() {
+    if (entries) return entries;
+
+    if (!loading) {
+      loading = (async () => {
+        await ensureDirectoryExists(dir);
+
+        const stored = await readJsonFile(indexPath, null);
+        const indexed = (stored && stored.entries) || {};
+        const reconciled = {};
+
+        for (const file of await fs.promises.readdir(dir)) {
+          const filePath = path.join(dir, file);
+
+          // Left over from a write that never finished
+          if (file.endsWith('.tmp')) {
+            await fs.promises.unlink(filePath).catch(() => {});
+            continue;
+          }
+
+          if (file === INDEX_FILE || !file.endsWith('.json')) continue;
+
+          const hash = path.basename(file, '.json');
+          if (indexed[hash]) {
+            reconciled[hash] = indexed[hash];
+            continue;
+          }
+
+          // Written before the index was saved; read the entry to recover its key
+          const entry = await readJsonFile(filePath, null);
+          if (entry && typeof entry.key === 'string') {
+            const { size } = await fs.promises.stat(filePath);
+            reconciled[hash] = { key: entry.key, size, createdAt: entry.createdAt, lastAccess: entry.createdAt };
+          } else {
+            await fs.promises.unlink(filePath).catch(() => {});
+          }
+        }
+
+        entries = reconciled;
+        console.log(`Loaded ${name} cache with ${Object.keys(entries).length} entries`);
+        return entries;
+      })();
+    }
+
+    return loading;
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+
+    saveTimer = setTimeout(async () => {
+      saveTimer = null;
+      try {
+        await writeFileAtomic(indexPath, JSON.stringify({ version: 1, entries }));
+      } catch (error) {
+        console.error(`Error saving ${name} cache index: ${error.message}`);
+      }
+    }, INDEX_SAVE_DELAY);
+
+    // Don't keep the process alive just to save access times
+    saveTimer.unref();
+  }
+
+  async function remove(hash) {
+    delete entries[hash];
+    await fs.promises.unlink(entryPath(hash)).catch(() => {});
+  }
+
+  // Drop expired entries, then the least recently used ones until the cache fits its size limit
+  async function evict() {
+    const now = Date.now();
+    const hashes = Object.keys(entries);
+
+    for (const hash of hashes) {
+      if (now - entries[hash].createdAt >= maxAge) {
+        await remove(hash);
+      }
+    }
+
+    let totalBytes = Object.values(entries).reduce((sum, entry) => sum + entry.size, 0);
+    const byLastAccess = Object.keys(entries).sort((a, b) => entries[a].lastAccess - entries[b].lastAccess);
+
+    for (const hash of byLastAccess) {
+      if (totalBytes <= maxBytes) break;
+
+      totalBytes -= entries[hash].size;
+      await remove(hash);
+    }
+  }
+
+  const cache = {
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<any>} - The value, or undefined if it isn't cached
+     */
+    async get(key) {
+      try {
+        await load();
+        const hash = hashKey(key);
+        const meta = entries[hash];
+
+        if (!meta || meta.key !== key) {
+          misses++;
+          return undefined;
+        }
+
+        if (Date.now() - meta.createdAt >= maxAge) {
+          await remove(hash);
+          scheduleSave();
+          misses++;
+          return undefined;
+        }
+
+        const entry = await readJsonFile(entryPath(hash), null);
+        if (!entry || entry.key !== key) {
+          await remove(hash);
+          scheduleSave();
+          misses++;
+          return undefined;
+        }
+
+        meta.lastAccess = Date.now();
+        scheduleSave();
+        hits++;
+        return entry.value;
+      } catch (error) {
+        console.error(`Error reading ${name} cache: ${error.message}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {any} value - JSON-serializable value
+     * @returns {Promise<boolean>} - True if the value was stored
+     */
+    async set(key, value) {
+      try {
+        await load();
+        const hash = hashKey(key);
+        const now = Date.now();
+        const data = JSON.stringify({ key, createdAt: now, value });
+
+        await writeFileAtomic(entryPath(hash), data);
+        entries[hash] = { key, size: Buffer.byteLength(data, 'utf8'), createdAt: now, lastAccess: now };
+
+        await evict();
+        scheduleSave();
+        return true;
+      } catch (error) {
+        console.error(`Error writing ${name} cache: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Remove a value
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+      await load();
+      await remove(hashKey(key));
+      scheduleSave();
+    },
+
+    /**
+     * Get cache statistics
+     * @returns {Promise<Object>} - Entry count, size, limits and hit counters
+     */
+    async getStats() {
+      await load();
+      return {
+        entries: Object.keys(entries).length,
+        bytes: Object.values(entries).reduce((sum, entry) => sum + entry.size, 0),
+        maxBytes,
+        maxAge,
+        hits,
+        misses
+      };
+    }
+  };
+
+  caches[name] = cache;
+  return cache;
+}
+
+/**
+ * Get stats for every cache created so far
+ * @returns {Promise<Object>} - Stats by cache name
+ */
+async function getAllStats() {
+  const stats = {};
+  for (const [name, cache] of Object.entries(caches)) {
+    stats[name] = await cache.getStats();
+  }
+  return stats;
+}
+
+module.exports = {
+  createDiskCache,
+  getAllStats
+};
@@ -0,0 +1,256 @@
+/**
+ * id-mapping.js - Resolve Stremio media IDs to IMDb/TMDB IDs
+ * Anime catalogs (Kitsu, AniList, MyAnimeList, AniDB) use their own IDs and number
+ * episodes per entry, while subtitle providers search by IMDb or TMDB ID with season
+ * and episode. The mapping comes from an offline dataset bundled in data/anime-mappings.json
+ * (written with `npm run update-anime-mappings -- --bundle`). `npm run update-anime-mappings`
+ * downloads the latest list into cache/anime-mappings.json, and the server can keep that copy
+ * up to date with ANIME_MAPPINGS_MAX_AGE_DAYS. The downloaded copy is preferred once it exists.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { parseMediaId, readJsonFile, writeFileAtomic } = require('./utils');
+
+const BUNDLED_FILE = path.join(__dirname, '../data/anime-mappings.json');
+const REFRESHED_FILE = path.join(__dirname, '../cache/anime-mappings.json');
+
+// Community-maintained list linking anime IDs across databases
+const DEFAULT_SOURCE_URL = 'https://raw.githubusercontent.com/Fribb/anime-lists/master/anime-list-full.json';
+
+// A downloaded dataset older than this is downloaded again by the server;
+// off (0) unless set, so the server makes no downloads of its own by default
+const parsedMaxAge = parseInt(process.env.ANIME_MAPPINGS_MAX_AGE_DAYS, 10);
+const MAX_AGE_DAYS = Number.isFinite(parsedMaxAge) ? parsedMaxAge : 0;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The full dataset is several megabytes
+const DOWNLOAD_TIMEOUT = 60000;
+
+// ID prefixes resolved through the dataset
+const ANIME_SOURCES = ['kitsu', 'anilist', 'mal', 'anidb'];
+
+// Loaded dataset with an index per source, e.g. indexes.kitsu.get('1376')
+let dataset = null;
+
+/**
+ * Build lookup indexes for a dataset
+ * @param {Object} data - Dataset as stored on disk
+ * @returns {Object} - { info, indexes }
+ */
+function indexDataset(data) {
+  const indexes = {};
+  ANIME_SOURCES.forEach(source => {
+    indexes[source] = new Map();
+  });
+
+  (data.entries || []).forEach(entry => {
+    ANIME_SOURCES.forEach(source => {
+      if (entry[source] !== undefined && entry[source] !== null) {
+        indexes[source].set(String(entry[source]), entry);
+      }
+    });
+  });
+
+  return {
+    info: {
+      entries: (data.entries || []).length,
+      source: data.source || null,
+      updatedAt: data.updatedAt || null
+    },
+    indexes
+  };
+}
+
+/**
+ * Load the mapping dataset, preferring a refreshed copy over the bundled one
+ * @returns {Promise<Object>} - Indexed dataset
+ */
+async function loadDataset() {
+  if (!dataset) {
+    const data = (await readJsonFile(REFRESHED_FILE, null)) || (await readJsonFile(BUNDLED_FILE, { entries: [] }));
+    dataset = indexDataset(data);
+    console.log(`Loaded ${dataset.info.entries} anime ID mappings`);
+  }
+
+  return dataset;
+}
+
+/**
+ * Resolve a Stremio media ID to the IDs subtitle providers search by
+ * @param {string} mediaId - Stremio media ID (tt1234567:1:5, tmdb:1399:1:5, kitsu:1376:3, ...)
+ * @returns {Promise<Object|null>} - { imdbId, tmdbId, season, episode, absoluteEpisode, isEpisode },
+ *   or null if the ID can't be resolved
+ */
+async function resolveMediaId(mediaId) {
+  const media = parseMediaId(mediaId);
+
+  if (media.source === 'imdb') {
+    return {
+      imdbId: media.imdbId,
+      tmdbId: null,
+      season: media.season,
+      episode: media.episode,
+      absoluteEpisode: null,
+      isEpisode: media.isEpisode
+    };
+  }
+
+  if (media.source === 'tmdb' && media.sourceId) {
+    return {
+      imdbId: null,
+      tmdbId: media.sourceId,
+      season: media.season,
+      episode: media.episode,
+      absoluteEpisode: null,
+      isEpisode: media.isEpisode
+    };
+  }
+
+  if (!ANIME_SOURCES.includes(media.source) || !media.sourceId) {
+    return null;
+  }
+
+  const { indexes } = await loadDataset();
+  const entry = indexes[media.source].get(media.sourceId);
+
+  if (!entry || (!entry.imdb && !entry.tmdb)) {
+    console.log(`No ID mapping for ${mediaId}`);
+    return null;
+  }
+
+  // Anime entries are usually one season each, numbered from its first episode
+  const isEpisode = media.isEpisode && entry.type !== 'MOVIE';
+
+  return {
+    imdbId: entry.imdb || null,
+    tmdbId: entry.tmdb ? String(entry.tmdb) : null,
+    season: isEpisode ? entry.season || 1 : null,
+    episode: isEpisode ? media.episode : null,
+    absoluteEpisode: isEpisode ? media.episode : null,
+    isEpisode
+  };
+}
+
+/**
+ * Convert an entry of the Fribb anime-lists dataset to our format
+ * @param {Object} item - Entry with kitsu_id, anilist_id, mal_id, imdb_id, themoviedb_id, ...
+ * @returns {Object|null} - Mapping entry, or null if it links to neither IMDb nor TMDB
+ */
+function convertEntry(item) {
+  const imdbMatch = typeof item.imdb_id === 'string' ? item.imdb_id.match(/tt\d+/) : null;
+  const tmdb = typeof item.themoviedb_id === 'number' ? item.themoviedb_id : null;
+
+  if (!imdbMatch && !tmdb) {
+    return null;
+  }
+
+  const entry = {
+    kitsu: item.kitsu_id,
+    anilist: item.anilist_id,
+    mal: item.mal_id,
+    anidb: item.anidb_id,
+    imdb: imdbMatch ? imdbMatch[0] : undefined,
+    tmdb: tmdb || undefined,
+    type: item.type
+  };
+
+  const season = item.season && (item.season.tmdb || item.season.tvdb);
+  if (season) {
+    entry.season = season;
+  }
+
+  return entry;
+}
+
+/**
+ * Download the latest mapping dataset and start using it
+ * @param {string} url - Dataset URL (ANIME_MAPPINGS_URL, defaults to the Fribb anime-lists)
+ * @param {string} file - File to save it to (defaults to the downloaded copy under cache/)
+ * @returns {Promise<number>} - Number of mappings
+ */
+async function refreshMappings(url = process.env.ANIME_MAPPINGS_URL || DEFAULT_SOURCE_URL, file = REFRESHED_FILE) {
+  console.log(`Downloading anime ID mappings from ${url}`);
+  const response = await axios.get(url, { responseType: 'json', timeout: DOWNLOAD_TIMEOUT });
+
+  if (!Array.isArray(response.data)) {
+    throw new Error('Unexpected anime mapping dataset format');
+  }
+
+  const data = {
+    version: 1,
+    source: url,
+    updatedAt: new Date().toISOString(),
+    entries: response.data.map(convertEntry).filter(Boolean)
+  };
+
+  await writeFileAtomic(file, JSON.stringify(data));
+  dataset = indexDataset(data);
+
+  console.log(`Saved ${data.entries.length} anime ID mappings to ${file}`);
+  return data.entries.length;
+}
+
+/**
+ * Download the mapping dataset if there is no downloaded copy yet or it is out of date
+ * The copy in use stays in use if the download fails
+ * @returns {Promise<number|null>} - Number of mappings, or null if nothing was downloaded
+ */
+async function refreshMappingsIfStale() {
+  if (MAX_AGE_DAYS <= 0) {
+    return null;
+  }
+
+  const stats = await fs.promises.stat(REFRESHED_FILE).catch(() => null);
+  if (stats && Date.now() - stats.mtimeMs < MAX_AGE_DAYS * DAY_MS) {
+    return null;
+  }
+
+  return refreshMappings();
+}
+
+/**
+ * Keep the mapping dataset up to date while the server runs, if ANIME_MAPPINGS_MAX_AGE_DAYS is set
+ * Checks now and once a day after that
+ * @param {Function} onError - Called with the error when a download fails
+ */
+function scheduleMappingRefresh(onError) {
+  if (MAX_AGE_DAYS <= 0) {
+    return;
+  }
+
+  const check = () => refreshMappingsIfStale().catch(onError);
+
+  check();
+  setInterval(check, DAY_MS).unref();
+}
+
+/**
+ * Describe the dataset in use
+ * @returns {Promise<Object>} - Entry count, source URL, update time and file
+ */
+async function getDatasetInfo() {
+  const { info } = await loadDataset();
+  return { ...info, file: fs.existsSync(REFRESHED_FILE) ? REFRESHED_FILE : BUNDLED_FILE };
+}
+
+// `node lib/id-mapping.js` refreshes the dataset; with --bundle it replaces the bundled one
+if (require.main === module) {
+  const file = process.argv.includes('--bundle') ? BUNDLED_FILE : REFRESHED_FILE;
+
+  refreshMappings(undefined, file)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`Error refreshing anime ID mappings: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  resolveMediaId,
+  refreshMappings,
+  refreshMappingsIfStale,
+  scheduleMappingRefresh,
+  getDatasetInfo
+};
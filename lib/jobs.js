@@ -0,0 +1,435 @@
+/**
+ * jobs.js - Background translation jobs
+ * Translating a whole film takes longer than Stremio waits for a subtitle file,
+ * so translations run as jobs in the background. Until the translated file is
+ * ready, requests get the part of the timeline translated so far followed by
+ * a cue saying the rest is still being translated. Unfinished jobs are recorded
+ * under cache/jobs and resumed when the server starts again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pipeline = require('./pipeline');
+const subtitleService = require('./subtitles');
+const translationService = require('./translation');
+const subtitleFormats = require('./subtitle-formats');
+const configService = require('./config');
+const messages = require('./messages');
+const { ensureDirectoryExists, parseStremioExtra, readJsonFile, writeFileAtomic } = require('./utils');
+
+const JOBS_DIR = path.join(__dirname, '../cache/jobs');
+
+// Job states
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  // Finished with some cues left in the source language, served until a retry can complete it
+  PARTIAL: 'partial',
+  FAILED: 'failed'
+};
+
+// Jobs translating at the same time; the rest wait in the queued state
+const MAX_RUNNING_JOBS = parseInt(process.env.TRANSLATION_MAX_JOBS, 10) || 2;
+
+// How long finished jobs are kept before the next request starts a fresh one
+const DONE_JOB_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const RETRY_JOB_TTL = 60 * 1000; // 1 minute
+
+// How long a subtitle request waits for its job before getting a placeholder,
+// so cached and untranslated files are still served on the first request
+const REQUEST_WAIT_MS = parseInt(process.env.TRANSLATION_WAIT_MS, 10) || 4000;
+
+// Jobs by key, in the order they were created
+const jobs = new Map();
+
+/**
+ * Build the key identifying a translation job
+ * Requests that would produce the same file share a job
+ * @param {string} mediaId - IMDb ID or Kitsu ID
+ * @param {string} targetLang - Target language code
+ * @param {Object} config - User configuration (see lib/config.js)
+ * @param {Object} extra - Extras of the Stremio request (see utils.parseStremioExtra)
+ * @returns {string} - The job key
+ */
+function getJobKey(mediaId, targetLang, config, extra = {}) {
+  const parts = [mediaId, targetLang, config.sourceLanguages.join(','), config.translationStyle];
+
+  // Users searching other add-ons may get a different source
+  if (config.sourceAddons.length > 0) {
+    parts.push(config.sourceAddons.join(','));
+  }
+
+  // A subtitle matching the video's hash may exist for one file of a film but not another
+  if (extra.videoHash) {
+    parts.push(`hash=${extra.videoHash}`);
+  }
+
+  // The file name picks the release whose subtitle is ranked first
+  const filename = subtitleService.normalizeReleaseName(extra.filename);
+  if (filename) {
+    parts.push(`file=${filename}`);
+  }
+
+  return parts.join('|');
+}
+
+/**
+ * Check whether a finished job is too old to keep serving
+ * @param {Object} job - The job
+ * @returns {boolean} - True if the job has expired
+ */
+function isExpired(job) {
+  const age = Date.now() - job.updatedAt;
+
+  if (job.state === JOB_STATES.DONE && job.result) return age > DONE_JOB_TTL;
+
+  // Jobs that failed, found nothing to translate or only translated part of it are retried soon,
+  // the search or the providers may succeed next time
+  if (isFinished(job)) return age > RETRY_JOB_TTL;
+  return false;
+}
+
+/**
+ * Check whether a job has stopped running
+ * @param {Object} job - The job
+ * @returns {boolean} - True if the job is done, partial or failed
+ */
+function isFinished(job) {
+  return [JOB_STATES.DONE, JOB_STATES.PARTIAL, JOB_STATES.FAILED].includes(job.state);
+}
+
+/**
+ * Forget finished jobs that have expired
+ */
+function pruneExpiredJobs() {
+  for (const [key, job] of jobs) {
+    if (isExpired(job)) {
+      jobs.delete(key);
+    }
+  }
+}
+
+/**
+ * Get the file recording an unfinished job
+ * @param {string} key - Job key
+ * @returns {string} - File path
+ */
+function getJobFile(key) {
+  return path.join(JOBS_DIR, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+}
+
+/**
+ * Record an unfinished job on disk, so it can be resumed after a restart
+ * @param {Object} job - The job
+ */
+async function persistJob(job) {
+  const { key, type, mediaId, targetLang, config, extra, createdAt } = job;
+
+  try {
+    await writeFileAtomic(getJobFile(key), JSON.stringify({ key, type, mediaId, targetLang, config, extra, createdAt }));
+  } catch (error) {
+    console.error(`Error saving translation job ${key}: ${error.message}`);
+  }
+}
+
+/**
+ * Remove the record of a job that has finished
+ * @param {Object} job - The job
+ */
+async function unpersistJob(job) {
+  await fs.promises.unlink(getJobFile(job.key)).catch(() => {});
+}
+
+/**
+ * Update a job and record when it changed
+ * @param {Object} job - The job
+ * @param {Object} changes - Fields to update
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+}
+
+/**
+ * Run a job's translation
+ * @param {Object} job - The job
+ */
+async function runJob(job) {
+  updateJob(job, { state: JOB_STATES.RUNNING, startedAt: Date.now() });
+  console.log(`Translation job ${job.key} started`);
+
+  try {
+    const result = await pipeline.getTranslatedSubtitle(job.type, job.mediaId, job.targetLang, job.config, {
+      extra: job.extra,
+      onProgress: ({ completed, total, translatedCues, endTime, header }) => updateJob(job, {
+        progress: total > 0 ? completed / total : 0,
+        partial: { cues: translatedCues, endTime, header }
+      })
+    });
+
+    const status = result ? result.status : translationService.TRANSLATION_STATUS.COMPLETE;
+
+    // The original file must not be served as its translation
+    if (status === translationService.TRANSLATION_STATUS.UNTRANSLATED) {
+      throw new Error('No translation provider could translate the subtitle');
+    }
+
+    const state = status === translationService.TRANSLATION_STATUS.PARTIAL ? JOB_STATES.PARTIAL : JOB_STATES.DONE;
+    updateJob(job, { state, progress: 1, result, partial: null });
+    console.log(`Translation job ${job.key} ${state}`);
+  } catch (error) {
+    updateJob(job, { state: JOB_STATES.FAILED, error: error.message, partial: null });
+    console.error(`Translation job ${job.key} failed: ${error.message}`);
+  } finally {
+    await unpersistJob(job);
+    job.waiters.splice(0).forEach(resolve => resolve(job));
+    startQueuedJobs();
+  }
+}
+
+/**
+ * Start queued jobs, oldest first, while there is room
+ */
+function startQueuedJobs() {
+  const all = Array.from(jobs.values());
+  let running = all.filter(job => job.state === JOB_STATES.RUNNING).length;
+
+  for (const job of all) {
+    if (running >= MAX_RUNNING_JOBS) break;
+
+    if (job.state === JOB_STATES.QUEUED) {
+      running++;
+      runJob(job);
+    }
+  }
+}
+
+/**
+ * Get the translation job for a media item and language, starting one if needed
+ * Finished jobs are reused until they expire; failed, empty or partial jobs are retried after a short pause
+ * @param {string} type - Type of content (movie, series)
+ * @param {string} mediaId - IMDb ID or Kitsu ID
+ * @param {string} targetLang - Target language code
+ * @param {Object} config - User configuration (see lib/config.js)
+ * @param {Object} extra - Extras of the Stremio request (see utils.parseStremioExtra)
+ * @returns {Object} - The job
+ */
+function startTranslationJob(type, mediaId, targetLang, config = configService.normalizeConfig(), extra = {}) {
+  const key = getJobKey(mediaId, targetLang, config, extra);
+  pruneExpiredJobs();
+
+  if (jobs.has(key)) {
+    return jobs.get(key);
+  }
+
+  const job = {
+    key,
+    type,
+    mediaId,
+    targetLang,
+    config,
+    extra,
+    state: JOB_STATES.QUEUED,
+    progress: 0,
+    result: null,
+    partial: null,
+    error: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    startedAt: null,
+    waiters: []
+  };
+
+  jobs.set(key, job);
+  console.log(`Translation job ${key} queued`);
+
+  // Record the job before it starts, so it is on disk before it can finish and be removed
+  persistJob(job).then(startQueuedJobs);
+  return job;
+}
+
+/**
+ * Resume the jobs that were unfinished when the server last stopped
+ * Their translations continue from the last checkpoint (see translationService.translateSubtitle)
+ * @returns {Promise<number>} - Number of jobs resumed
+ */
+async function resumeJobs() {
+  await ensureDirectoryExists(JOBS_DIR);
+  let resumed = 0;
+
+  for (const file of await fs.promises.readdir(JOBS_DIR)) {
+    const filePath = path.join(JOBS_DIR, file);
+
+    // Left over from a write that never finished
+    if (!file.endsWith('.json')) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      continue;
+    }
+
+    const stored = await readJsonFile(filePath, null);
+    if (!stored || !stored.mediaId || !stored.targetLang || !stored.config) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      continue;
+    }
+
+    console.log(`Resuming translation job ${stored.key}`);
+    startTranslationJob(stored.type, stored.mediaId, stored.targetLang, configService.normalizeConfig(stored.config), parseStremioExtra(stored.extra));
+    resumed++;
+  }
+
+  return resumed;
+}
+
+/**
+ * Wait until a job has finished, or until a timeout passes
+ * @param {Object} job - The job
+ * @param {number} timeout - Maximum time to wait in milliseconds
+ * @returns {Promise<Object>} - The job, in whatever state it is in by then
+ */
+function waitForJob(job, timeout) {
+  if (isFinished(job)) {
+    return Promise.resolve(job);
+  }
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve(job), timeout);
+    job.waiters.push(finished => {
+      clearTimeout(timer);
+      resolve(finished);
+    });
+  });
+}
+
+/**
+ * Build the partial WebVTT of a running job
+ * The cues translated so far are followed by one cue covering the rest of the runtime
+ * @param {Object} job - The job, with partial set
+ * @returns {string} - WebVTT content
+ */
+function createPartialVtt(job) {
+  const { cues, endTime, header } = job.partial;
+  const start = cues.length > 0 ? cues[cues.length - 1].end : 0;
+  const remaining = {
+    start,
+    end: endTime,
+    text: messages.getRemainingMessage(job.targetLang, job.progress * 100)
+  };
+
+  // Nothing left to cover once the whole timeline is translated
+  return translationService.serializeTranslation(start >= endTime ? cues : [...cues, remaining], header);
+}
+
+/**
+ * Get the WebVTT to serve for a job in its current state
+ * @param {Object} job - The job
+ * @returns {string} - The translated subtitle, the partial translation, or a placeholder or error message
+ */
+function getJobVtt(job) {
+  if (job.state === JOB_STATES.DONE) {
+    return job.result ? job.result.content : pipeline.createMessageVtt('No subtitles found to translate.');
+  }
+
+  if (job.state === JOB_STATES.PARTIAL) {
+    return job.result.content;
+  }
+
+  if (job.state === JOB_STATES.FAILED) {
+    return pipeline.createMessageVtt('Subtitle unavailable.');
+  }
+
+  // Once the source is parsed, serve the opening part as it gets translated
+  if (job.partial) {
+    return createPartialVtt(job);
+  }
+
+  return pipeline.createMessageVtt(messages.getProgressMessage(job.targetLang, job.progress * 100));
+}
+
+/**
+ * Get the subtitle to serve for a job in a format
+ * ASS/SSA requests get the translated script itself when the source was one,
+ * and otherwise the WebVTT converted to the format
+ * @param {Object} job - The job
+ * @param {string} format - Format name ('vtt', 'ass' or 'ssa')
+ * @returns {string} - Subtitle content
+ */
+function getJobSubtitle(job, format) {
+  if (!pipeline.isStyledFormat(format)) {
+    return getJobVtt(job);
+  }
+
+  const styled = (job.state === JOB_STATES.DONE || job.state === JOB_STATES.PARTIAL) && job.result && job.result.styled;
+  return styled ? styled.content : subtitleFormats.convertSubtitle(getJobVtt(job), format);
+}
+
+/**
+ * Get the subtitle to answer a request with, starting a translation job if needed
+ * @param {string} type - Type of content (movie, series)
+ * @param {string} mediaId - IMDb ID or Kitsu ID
+ * @param {string} targetLang - Target language code
+ * @param {Object} config - User configuration (see lib/config.js)
+ * @param {Object} extra - Extras of the Stremio request (see utils.parseStremioExtra)
+ * @param {string} format - Format to serve ('vtt', 'ass' or 'ssa')
+ * @returns {Promise<Object>} - { content, job, finished } where finished is false for placeholders, partial
+ *   translations, failures and jobs that found nothing to translate, which should not be cached by the player
+ */
+async function getSubtitleForRequest(type, mediaId, targetLang, config, extra = {}, format = 'vtt') {
+  const job = await waitForJob(startTranslationJob(type, mediaId, targetLang, config, extra), REQUEST_WAIT_MS);
+
+  // Only a translation that is kept for long is final; everything else is retried soon (see isExpired)
+  const finished = job.state === JOB_STATES.DONE && !!job.result;
+
+  return { content: getJobSubtitle(job, format), job, finished };
+}
+
+/**
+ * Get a job by its key
+ * @param {string} key - Job key (see getJobKey)
+ * @returns {Object|null} - The job or null if there is none
+ */
+function getJob(key) {
+  return jobs.get(key) || null;
+}
+
+/**
+ * Describe a job without its result or internals
+ * @param {Object} job - The job
+ * @returns {Object} - Job summary
+ */
+function describeJob(job) {
+  return {
+    key: job.key,
+    mediaId: job.mediaId,
+    targetLang: job.targetLang,
+    state: job.state,
+    progress: Math.round(job.progress * 100),
+    source: job.result && job.result.source ? job.result.source.id : null,
+    sourceScore: job.result && job.result.source ? job.result.source.score : null,
+    error: job.error,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString()
+  };
+}
+
+/**
+ * List all jobs that haven't expired
+ * @returns {Array<Object>} - Job summaries, oldest first
+ */
+function listJobs() {
+  pruneExpiredJobs();
+  return Array.from(jobs.values()).map(describeJob);
+}
+
+module.exports = {
+  JOB_STATES,
+  getJobKey,
+  startTranslationJob,
+  waitForJob,
+  getJobVtt,
+  getSubtitleForRequest,
+  resumeJobs,
+  getJob,
+  describeJob,
+  listJobs
+};
@@ -0,0 +1,112 @@
+/**
+ * messages.js - Viewer-facing messages in the subtitle languages we serve
+ * Placeholders are shown as subtitles, so they are written in the language
+ * the viewer asked for rather than in English
+ */
+
+// "Translation in progress" in each language of translationService.languageMap
+const progressMessages = {
+  'en': 'Translation in progress: {percent}%',
+  'el': 'Μετάφραση σε εξέλιξη: {percent}%',
+  'fr': 'Traduction en cours : {percent} %',
+  'es': 'Traducción en curso: {percent}%',
+  'de': 'Übersetzung läuft: {percent} %',
+  'it': 'Traduzione in corso: {percent}%',
+  'pt': 'Tradução em andamento: {percent}%',
+  'ru': 'Идёт перевод: {percent}%',
+  'ja': '翻訳中: {percent}%',
+  'ko': '번역 중: {percent}%',
+  'zh': '正在翻译：{percent}%',
+  'ar': 'جارٍ الترجمة: {percent}%',
+  'hi': 'अनुवाद जारी है: {percent}%',
+  'tr': 'Çeviri sürüyor: %{percent}',
+  'nl': 'Vertaling bezig: {percent}%',
+  'sv': 'Översättning pågår: {percent} %',
+  'pl': 'Trwa tłumaczenie: {percent}%',
+  'da': 'Oversættelse i gang: {percent} %',
+  'fi': 'Käännös käynnissä: {percent} %',
+  'no': 'Oversettelse pågår: {percent} %',
+  'cs': 'Probíhá překlad: {percent} %',
+  'hu': 'Fordítás folyamatban: {percent}%',
+  'ro': 'Traducere în curs: {percent}%',
+  'bg': 'Превеждане: {percent}%',
+  'hr': 'Prijevod u tijeku: {percent} %',
+  'sr': 'Превод је у току: {percent}%',
+  'sk': 'Prebieha preklad: {percent} %',
+  'sl': 'Prevajanje poteka: {percent} %',
+  'uk': 'Триває переклад: {percent}%',
+  'vi': 'Đang dịch: {percent}%',
+  'th': 'กำลังแปล: {percent}%',
+  'id': 'Sedang menerjemahkan: {percent}%',
+  'ms': 'Sedang menterjemah: {percent}%',
+  'he': 'התרגום בתהליך: {percent}%',
+  'fa': 'در حال ترجمه: {percent}٪'
+};
+
+// "The remaining subtitles are still being translated", shown after the part that is done
+const remainingMessages = {
+  'en': 'The remaining subtitles are still being translated ({percent}%)',
+  'el': 'Οι υπόλοιποι υπότιτλοι μεταφράζονται ακόμη ({percent}%)',
+  'fr': 'Les sous-titres restants sont en cours de traduction ({percent} %)',
+  'es': 'Los subtítulos restantes aún se están traduciendo ({percent}%)',
+  'de': 'Die restlichen Untertitel werden noch übersetzt ({percent} %)',
+  'it': 'I sottotitoli rimanenti sono ancora in traduzione ({percent}%)',
+  'pt': 'As legendas restantes ainda estão sendo traduzidas ({percent}%)',
+  'ru': 'Остальные субтитры ещё переводятся ({percent}%)',
+  'ja': '残りの字幕は翻訳中です（{percent}%）',
+  'ko': '나머지 자막은 아직 번역 중입니다 ({percent}%)',
+  'zh': '其余字幕仍在翻译中（{percent}%）',
+  'ar': 'لا تزال بقية الترجمات قيد الترجمة ({percent}%)',
+  'hi': 'बाकी उपशीर्षकों का अनुवाद अभी जारी है ({percent}%)',
+  'tr': 'Kalan altyazılar hâlâ çevriliyor (%{percent})',
+  'nl': 'De overige ondertitels worden nog vertaald ({percent}%)',
+  'sv': 'Resten av undertexterna översätts fortfarande ({percent} %)',
+  'pl': 'Pozostałe napisy są jeszcze tłumaczone ({percent}%)',
+  'da': 'De resterende undertekster oversættes stadig ({percent} %)',
+  'fi': 'Loput tekstitykset ovat vielä käännettävänä ({percent} %)',
+  'no': 'De resterende undertekstene oversettes fortsatt ({percent} %)',
+  'cs': 'Zbývající titulky se ještě překládají ({percent} %)',
+  'hu': 'A többi felirat fordítása még folyamatban van ({percent}%)',
+  'ro': 'Subtitrările rămase sunt încă în curs de traducere ({percent}%)',
+  'bg': 'Останалите субтитри все още се превеждат ({percent}%)',
+  'hr': 'Preostali titlovi još se prevode ({percent} %)',
+  'sr': 'Преостали титлови се још преводе ({percent}%)',
+  'sk': 'Zvyšné titulky sa ešte prekladajú ({percent} %)',
+  'sl': 'Preostali podnapisi se še prevajajo ({percent} %)',
+  'uk': 'Решта субтитрів ще перекладається ({percent}%)',
+  'vi': 'Phần phụ đề còn lại vẫn đang được dịch ({percent}%)',
+  'th': 'คำบรรยายที่เหลือยังอยู่ระหว่างการแปล ({percent}%)',
+  'id': 'Subtitle selebihnya masih diterjemahkan ({percent}%)',
+  'ms': 'Sari kata selebihnya masih sedang diterjemah ({percent}%)',
+  'he': 'שאר הכתוביות עדיין מתורגמות ({percent}%)',
+  'fa': 'بقیه زیرنویس‌ها هنوز در حال ترجمه است ({percent}٪)'
+};
+
+/**
+ * Get the "translation in progress" message for a language
+ * @param {string} langCode - The language code (e.g., 'en', 'el'); unknown codes fall back to English
+ * @param {number} percent - Progress from 0 to 100
+ * @returns {string} - The message
+ */
+function getProgressMessage(langCode, percent) {
+  const template = progressMessages[langCode] || progressMessages.en;
+  return template.replace('{percent}', Math.floor(percent));
+}
+
+/**
+ * Get the "remaining subtitles are still being translated" message for a language
+ * @param {string} langCode - The language code (e.g., 'en', 'el'); unknown codes fall back to English
+ * @param {number} percent - Progress from 0 to 100
+ * @returns {string} - The message
+ */
+function getRemainingMessage(langCode, percent) {
+  const template = remainingMessages[langCode] || remainingMessages.en;
+  return template.replace('{percent}', Math.floor(percent));
+}
+
+module.exports = {
+  progressMessages,
+  remainingMessages,
+  getProgressMessage,
+  getRemainingMessage
+};
@@ -0,0 +1,167 @@
+/**
+ * pipeline.js - End-to-end subtitle translation pipeline
+ * Finds a source subtitle for a media item, downloads it and translates it
+ */
+
+const subtitleService = require('./subtitles');
+const subtitleProviders = require('./subtitle-providers');
+const subtitleFormats = require('./subtitle-formats');
+const translationService = require('./translation');
+const configService = require('./config');
+const ranking = require('./ranking');
+const { parseMediaId } = require('./utils');
+
+// Formats also served as they are, for players that render their styles and positioning
+const STYLED_FORMATS = ['ass', 'ssa'];
+
+/**
+ * Infer the content type from a Stremio media ID
+ * Episode IDs carry an episode number (e.g. tt1234567:1:5 or kitsu:1376:3)
+ * @param {string} mediaId - IMDb ID or Kitsu ID
+ * @returns {string} - 'series' or 'movie'
+ */
+function inferMediaType(mediaId) {
+  return parseMediaId(mediaId).isEpisode ? 'series' : 'movie';
+}
+
+/**
+ * Create a single-cue WebVTT file carrying a message for the viewer
+ * @param {string} message - The message to show
+ * @returns {string} - WebVTT content
+ */
+function createMessageVtt(message) {
+  const document = subtitleFormats.createDocument('vtt', [{ id: '1', start: 1000, end: 10000, text: message }]);
+  return subtitleFormats.serializeSubtitle(document);
+}
+
+/**
+ * Convert downloaded subtitle content to WebVTT
+ * @param {string} content - Subtitle content in any format lib/subtitle-formats reads
+ * @returns {string} - WebVTT content
+ */
+function toVtt(content) {
+  return subtitleFormats.convertSubtitle(content, 'vtt');
+}
+
+/**
+ * Check whether subtitles in a format are also served as they are (see createResult)
+ * @param {string} format - Format name
+ * @returns {boolean} - True for ASS/SSA
+ */
+function isStyledFormat(format) {
+  return STYLED_FORMATS.includes(format);
+}
+
+/**
+ * Build the result for a subtitle served to the viewer
+ * Every subtitle is served as WebVTT; ASS/SSA files are also kept as they are
+ * @param {string} content - Subtitle content in any format lib/subtitle-formats reads
+ * @param {Object} source - Source subtitle object
+ * @param {string} status - How much got translated (see translationService.TRANSLATION_STATUS)
+ * @returns {Object} - { content, styled, source, status } where styled is { format, content } for ASS/SSA, otherwise null
+ */
+function createResult(content, source, status) {
+  const format = subtitleFormats.detectFormat(content);
+
+  return {
+    content: toVtt(content),
+    styled: isStyledFormat(format) ? { format, content } : null,
+    source,
+    status
+  };
+}
+
+/**
+ * Rank the candidate source subtitles for a media item
+ * A subtitle that is already in the target language ranks first, since it needs no translation
+ * @param {string} type - Type of content (movie, series)
+ * @param {string} mediaId - IMDb ID or Kitsu ID
+ * @param {string} targetLang - Target language code
+ * @param {Object} config - User configuration (see lib/config.js)
+ * @param {Object} extra - Extras of the Stremio request (see utils.parseStremioExtra)
+ * @param {number} limit - Number of candidates to return
+ * @returns {Promise<Array<Object>>} - Best candidates first, as { subtitle, score, breakdown } (see ranking.rankSubtitles)
+ */
+async function rankSourceSubtitles(type, mediaId, targetLang, config = configService.normalizeConfig(), extra = {}, limit) {
+  // Providers whose download quota is used up can't deliver the file, so their results are skipped
+  const subtitles = (await subtitleService.findSubtitles(type, mediaId, { config, extra }))
+    .filter(sub => subtitleProviders.hasDownloadsLeft(sub.provider));
+  console.log(`Found ${subtitles.length} candidate subtitles for ${mediaId}`);
+
+  return ranking.rankSubtitles(subtitles, {
+    targetLang,
+    sourceLanguages: config.sourceLanguages,
+    extra,
+    limit
+  });
+}
+
+/**
+ * Find the subtitle we would translate from for a media item
+ * @param {string} type - Type of content (movie, series)
+ * @param {string} mediaId - IMDb ID or Kitsu ID
+ * @param {string} targetLang - Target language code
+ * @param {Object} config - User configuration (see lib/config.js)
+ * @param {Object} extra - Extras of the Stremio request (see utils.parseStremioExtra)
+ * @returns {Promise<Object|null>} - Source subtitle object with its score and scoreBreakdown, or null if none found
+ */
+async function findSourceSubtitle(type, mediaId, targetLang, config = configService.normalizeConfig(), extra = {}) {
+  const [best] = await rankSourceSubtitles(type, mediaId, targetLang, config, extra, 1);
+
+  if (!best) {
+    return null;
+  }
+
+  return { ...best.subtitle, score: best.score, scoreBreakdown: best.breakdown };
+}
+
+/**
+ * Find, download and translate the best subtitle for a media item
+ * Each target language is handled independently
+ * @param {string} type - Type of content (movie, series)
+ * @param {string} mediaId - IMDb ID or Kitsu ID
+ * @param {string} targetLang - Target language code
+ * @param {Object} config - User configuration (see lib/config.js)
+ * @param {Object} options - Additional options
+ * @param {Function} options.onProgress - Called as batches finish (see translationService.translateSubtitleWithStatus)
+ * @param {Object} options.extra - Extras of the Stremio request (see utils.parseStremioExtra)
+ * @returns {Promise<Object|null>} - { content, styled, source, status } (see createResult) or null if no source subtitle exists
+ */
+async function getTranslatedSubtitle(type, mediaId, targetLang, config = configService.normalizeConfig(), options = {}) {
+  const source = await findSourceSubtitle(type, mediaId, targetLang, config, options.extra);
+
+  if (!source) {
+    console.log(`No source subtitle available for ${mediaId}`);
+    return null;
+  }
+
+  console.log(`Using source subtitle ${source.id} (${source.lang}, score ${source.score}: ${JSON.stringify(source.scoreBreakdown)}) for ${mediaId}`);
+
+  // Download the source file
+  const sourceContent = await subtitleService.downloadSubtitle(source);
+
+  // Already in the requested language, pass it through untranslated
+  if (source.lang === targetLang) {
+    console.log(`Source subtitle for ${mediaId} is already in ${targetLang}, skipping translation`);
+    return createResult(sourceContent, source, translationService.TRANSLATION_STATUS.COMPLETE);
+  }
+
+  // Translate it into the target language; ASS/SSA files come back as ASS/SSA
+  const translation = await translationService.translateSubtitleWithStatus(
+    sourceContent,
+    source.lang || 'en',
+    targetLang,
+    { style: config.translationStyle, onProgress: options.onProgress }
+  );
+
+  return createResult(translation.content, source, translation.status);
+}
+
+module.exports = {
+  inferMediaType,
+  createMessageVtt,
+  isStyledFormat,
+  rankSourceSubtitles,
+  findSourceSubtitle,
+  getTranslatedSubtitle
+};
@@ -0,0 +1,137 @@
+/**
+ * placeholders.js - Keep markup out of the text sent for translation
+ * Tags are swapped for numbered placeholders ({1}, {2}, ...) that translation
+ * providers are asked to leave alone, and put back into the translated text.
+ * Tags at the very start or end of a text apply to all of it (a whole line in
+ * italics, a voice span, an ASS position), so they are kept aside instead of
+ * being sent at all.
+ */
+
+// Placeholders as they appear in the text sent for translation
+const PLACEHOLDER_PATTERN = /\{(\d+)\}/g;
+
+// Tags of each markup the translation pipeline works in, as global patterns without capturing groups.
+// keepLost puts tags whose placeholder a translation lost back at the start of the text: ASS overrides
+// such as positions and karaoke timings still matter there. WebVTT tags come in pairs, and one whose
+// other half was lost would leave the rest of the cue unbalanced, so such texts lose all their markup
+// but the leading and trailing tags, when those pair up by themselves (see isBalanced)
+const TAG_SYNTAX = {
+  // <i>, <b>, <u>, <c.yellow>, <v Bob>, <lang en>, <ruby>, <rt> and karaoke timestamps
+  vtt: { pattern: /<\/?[a-z\d][^>]*>/gi, keepLost: false },
+  // Override blocks ({\i1}, {\an8}, {\pos(...)}, {\k20}, ...)
+  ass: { pattern: /\{[^}]*\}/g, keepLost: true },
+  ssa: { pattern: /\{[^}]*\}/g, keepLost: true }
+};
+
+/**
+ * Replace the tags in a text with placeholders
+ * @param {string} text - Text in the markup of a subtitle format
+ * @param {string} format - Format name ('vtt', 'ass' or 'ssa')
+ * @returns {Object} - { text, prefix, suffix, tags, keepLost } where text has the placeholders,
+ *   prefix and suffix hold the leading and trailing tags and tags the others, the first one standing for {1}
+ */
+function maskTags(text, format) {
+  const syntax = TAG_SYNTAX[format];
+  const parts = text.split(new RegExp(`(${syntax.pattern.source})`, syntax.pattern.flags.replace('g', '')));
+
+  // Odd parts are tags; find the first and last parts with text
+  const textIndexes = parts.map((part, index) => (index % 2 === 0 && part ? index : -1)).filter(index => index >= 0);
+  const first = textIndexes.length > 0 ? textIndexes[0] : parts.length;
+  const last = textIndexes.length > 0 ? textIndexes[textIndexes.length - 1] : parts.length;
+
+  const tags = [];
+  const masked = parts.slice(first, last + 1).map((part, index) => {
+    if (index % 2 === 0) return part;
+
+    tags.push(part);
+    return `{${tags.length}}`;
+  }).join('');
+
+  return {
+    text: masked,
+    prefix: parts.slice(0, first).join(''),
+    suffix: parts.slice(last + 1).join(''),
+    tags,
+    keepLost: syntax.keepLost
+  };
+}
+
+/**
+ * List the placeholders in a text
+ * @param {string} text - Text with placeholders
+ * @returns {Array<string>} - Placeholders, sorted
+ */
+function listPlaceholders(text) {
+  return (text.match(PLACEHOLDER_PATTERN) || []).sort();
+}
+
+/**
+ * Check that a translation kept every placeholder of the text it translates, once
+ * @param {string} text - Text that was sent, with placeholders
+ * @param {string} translation - Translated text
+ * @returns {boolean} - True if both have the same placeholders
+ */
+function placeholdersMatch(text, translation) {
+  return listPlaceholders(text).join() === listPlaceholders(translation).join();
+}
+
+/**
+ * Check whether WebVTT tags open and close in matching pairs
+ * A voice span may be left open, since it then lasts until the end of the cue
+ * @param {string} markup - Tags only, e.g. a masked text's prefix and suffix
+ * @returns {boolean} - True if every tag that is opened is closed in the right order
+ */
+function isBalanced(markup) {
+  const open = [];
+
+  for (const tag of markup.match(TAG_SYNTAX.vtt.pattern) || []) {
+    const [, closing, name] = tag.toLowerCase().match(/^<(\/?)([a-z]*)/);
+
+    // Karaoke timestamps neither open nor close anything
+    if (!name) continue;
+
+    if (!closing) {
+      open.push(name);
+    } else if (open.pop() !== name) {
+      return false;
+    }
+  }
+
+  return open.every(name => name === 'v');
+}
+
+/**
+ * Put the tags back into a translated text
+ * Placeholders that don't stand for a tag, or repeat one, are dropped. Tags whose placeholder
+ * the translation lost go back at the start when the format keeps them; otherwise the text
+ * is returned without any tags but a balanced prefix and suffix (see TAG_SYNTAX)
+ * @param {string} text - Translated text with placeholders
+ * @param {Object} masked - Result of maskTags for the original text
+ * @returns {string} - Translated text with markup
+ */
+function restoreTags(text, masked) {
+  const used = new Set();
+
+  const restored = text.replace(PLACEHOLDER_PATTERN, (placeholder, number) => {
+    const index = Number(number) - 1;
+    if (index < 0 || index >= masked.tags.length || used.has(index)) return '';
+
+    used.add(index);
+    return masked.tags[index];
+  });
+
+  const lost = masked.tags.filter((tag, index) => !used.has(index));
+
+  if (lost.length > 0 && !masked.keepLost) {
+    const bare = text.replace(PLACEHOLDER_PATTERN, '');
+    return isBalanced(masked.prefix + masked.suffix) ? masked.prefix + bare + masked.suffix : bare;
+  }
+
+  return masked.prefix + lost.join('') + restored + masked.suffix;
+}
+
+module.exports = {
+  maskTags,
+  placeholdersMatch,
+  restoreTags
+};
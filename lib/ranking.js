@@ -0,0 +1,233 @@
+/**
+ * ranking.js - Scoring of candidate source subtitles
+ * Every candidate gets points for a set of signals (language, hash match, release
+ * similarity to the file being played, popularity, uploader trust, ...). The
+ * breakdown is kept with the score, so it is visible why a source was chosen.
+ */
+
+// Points for each signal
+const WEIGHTS = {
+  targetLanguage: 100, // Already in the target language, needs no translation
+  preferredLanguage: 50, // First configured source language; each later one gets 10 less
+  minPreferredLanguage: 20,
+  relatedLanguage: 6, // Same language family as the target, translates most faithfully
+  pivotLanguage: 4, // English, the language models translate from best
+  hashMatch: 40, // Timed for the exact file being played
+  filenameMatch: 15, // Release named exactly like the file being played
+  releaseGroup: 10,
+  releaseSource: 6,
+  releaseSourceFamily: 3, // e.g. WEB-DL and WEBRip
+  resolution: 2,
+  fps: 4, // Subtitles for another frame rate drift, so a mismatch costs as much
+  maxDownloads: 10, // 2 points per power of ten
+  maxRating: 5, // Half the 0-10 rating
+  hearingImpaired: -5, // Sound descriptions clutter the translation
+  trusted: 5
+};
+
+// Languages translated between most faithfully, by family
+const LANGUAGE_FAMILIES = [
+  ['es', 'pt', 'it', 'fr', 'ro', 'ca'],
+  ['ru', 'uk', 'bg', 'sr', 'hr', 'sl', 'cs', 'sk', 'pl'],
+  ['de', 'nl', 'sv', 'da', 'no'],
+  ['zh', 'ja', 'ko'],
+  ['id', 'ms'],
+  ['ar', 'fa', 'he']
+];
+
+// Release sources and the family each belongs to
+const RELEASE_SOURCES = [
+  { pattern: /\b(?:blu-?ray|bdremux|bdrip|brrip|bd25|bd50)\b/i, source: 'bluray', family: 'disc' },
+  { pattern: /\bweb-?dl\b/i, source: 'web-dl', family: 'web' },
+  { pattern: /\bweb-?rip\b/i, source: 'webrip', family: 'web' },
+  { pattern: /\bweb\b/i, source: 'web', family: 'web' },
+  { pattern: /\bhdtv\b/i, source: 'hdtv', family: 'tv' },
+  { pattern: /\bhdrip\b/i, source: 'hdrip', family: 'disc' },
+  { pattern: /\bdvd-?rip\b|\bdvd\b/i, source: 'dvd', family: 'disc' }
+];
+
+// Candidates returned when no limit is given
+const DEFAULT_LIMIT = 5;
+
+/**
+ * Get the base language code (e.g. 'pt' for 'pt-BR')
+ * @param {string} lang - Language code
+ * @returns {string} - Lower-case base code
+ */
+function baseLanguage(lang) {
+  return String(lang || '').split('-')[0].toLowerCase();
+}
+
+/**
+ * Read release attributes from a release or file name
+ * @param {string} name - e.g. 'Movie.2020.1080p.WEB-DL.DDP5.1.H.264-GROUP.mkv'
+ * @returns {Object} - { group, source, sourceFamily, resolution, fps }, null where unknown
+ */
+function parseRelease(name) {
+  const text = String(name || '').replace(/\.(srt|vtt|ass|ssa|sub|mkv|mp4|avi|m4v|mov|webm|ts)$/i, '');
+  const words = text.replace(/[._]+/g, ' ');
+
+  const groupMatch = text.match(/-([a-z0-9]+)(?:\[[^\]]*\])?$/i);
+  const source = RELEASE_SOURCES.find(item => item.pattern.test(words));
+  const resolutionMatch = words.match(/\b(2160|1080|720|576|480)[pi]\b/i) || (/\b(?:4k|uhd)\b/i.test(words) ? [null, '2160'] : null);
+  const fpsMatch = words.match(/\b(23 976|23\.976|24|25|29 97|29\.97|30|50|59 94|59\.94|60) ?fps\b/i);
+
+  return {
+    group: groupMatch ? groupMatch[1].toLowerCase() : null,
+    source: source ? source.source : null,
+    sourceFamily: source ? source.family : null,
+    resolution: resolutionMatch ? parseInt(resolutionMatch[1], 10) : null,
+    fps: fpsMatch ? parseFloat(fpsMatch[1].replace(' ', '.')) : null
+  };
+}
+
+/**
+ * Score how well a subtitle's language suits translation into the target language
+ * @param {string} lang - Subtitle language
+ * @param {string} targetLang - Target language
+ * @param {Array<string>} sourceLanguages - Configured source languages, in order of preference
+ * @returns {Object} - Breakdown entries for the language signals
+ */
+function scoreLanguage(lang, targetLang, sourceLanguages) {
+  const breakdown = {};
+  const base = baseLanguage(lang);
+  const target = baseLanguage(targetLang);
+
+  if (lang === targetLang) {
+    breakdown.targetLanguage = WEIGHTS.targetLanguage;
+    return breakdown;
+  }
+
+  const rank = sourceLanguages.indexOf(lang) >= 0 ? sourceLanguages.indexOf(lang) : sourceLanguages.map(baseLanguage).indexOf(base);
+  if (rank >= 0) {
+    breakdown.preferredLanguage = Math.max(WEIGHTS.preferredLanguage - rank * 10, WEIGHTS.minPreferredLanguage);
+  }
+
+  if (base !== target && LANGUAGE_FAMILIES.some(family => family.includes(base) && family.includes(target))) {
+    breakdown.relatedLanguage = WEIGHTS.relatedLanguage;
+  } else if (base === 'en') {
+    breakdown.pivotLanguage = WEIGHTS.pivotLanguage;
+  }
+
+  return breakdown;
+}
+
+/**
+ * Check whether a scored candidate is in a language the user configured
+ * @param {Object} candidate - Scored candidate (see scoreSubtitle)
+ * @returns {boolean} - True for the target language or one of the source languages
+ */
+function isConfiguredLanguage(candidate) {
+  return Boolean(candidate.breakdown.targetLanguage || candidate.breakdown.preferredLanguage);
+}
+
+/**
+ * Score how closely a subtitle's release matches the file being played
+ * @param {Object} subtitle - Subtitle object
+ * @param {Object} video - Release attributes of the file being played (see parseRelease)
+ * @returns {Object} - Breakdown entries for the release signals
+ */
+function scoreRelease(subtitle, video) {
+  const breakdown = {};
+  const release = parseRelease(subtitle.title);
+  const fps = subtitle.fps || release.fps;
+
+  if (subtitle.filenameMatch) {
+    breakdown.filenameMatch = WEIGHTS.filenameMatch;
+  }
+
+  if (video.group && release.group === video.group) {
+    breakdown.releaseGroup = WEIGHTS.releaseGroup;
+  }
+
+  if (video.source && release.source === video.source) {
+    breakdown.releaseSource = WEIGHTS.releaseSource;
+  } else if (video.sourceFamily && release.sourceFamily === video.sourceFamily) {
+    breakdown.releaseSource = WEIGHTS.releaseSourceFamily;
+  }
+
+  if (video.resolution && release.resolution === video.resolution) {
+    breakdown.resolution = WEIGHTS.resolution;
+  }
+
+  if (video.fps && fps) {
+    breakdown.fps = Math.abs(video.fps - fps) < 0.1 ? WEIGHTS.fps : -WEIGHTS.fps;
+  }
+
+  return breakdown;
+}
+
+/**
+ * Score a candidate subtitle
+ * @param {Object} subtitle - Subtitle object
+ * @param {Object} context - { targetLang, sourceLanguages, video } as built by rankSubtitles
+ * @returns {Object} - { subtitle, score, breakdown }
+ */
+function scoreSubtitle(subtitle, context) {
+  const breakdown = {
+    ...scoreLanguage(subtitle.lang, context.targetLang, context.sourceLanguages),
+    ...scoreRelease(subtitle, context.video)
+  };
+
+  if (subtitle.hashMatch) {
+    breakdown.hashMatch = WEIGHTS.hashMatch;
+  }
+
+  // Counts come from the providers' APIs, so anything that isn't a number is ignored
+  if (Number.isFinite(subtitle.downloads) && subtitle.downloads > 0) {
+    breakdown.downloads = Math.min(Math.log10(subtitle.downloads + 1) * 2, WEIGHTS.maxDownloads);
+  }
+
+  if (Number.isFinite(subtitle.rating) && subtitle.rating > 0) {
+    breakdown.rating = Math.min(subtitle.rating / 2, WEIGHTS.maxRating);
+  }
+
+  if (subtitle.hearingImpaired) {
+    breakdown.hearingImpaired = WEIGHTS.hearingImpaired;
+  }
+
+  if (subtitle.trusted) {
+    breakdown.trusted = WEIGHTS.trusted;
+  }
+
+  Object.keys(breakdown).forEach(key => {
+    breakdown[key] = Math.round(breakdown[key] * 10) / 10;
+  });
+
+  const score = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+  return { subtitle, score: Math.round(score * 10) / 10, breakdown };
+}
+
+/**
+ * Rank candidate source subtitles for a target language
+ * Our own translations, pending entries and subtitles in languages that are neither
+ * the target nor a source language are never candidates
+ * @param {Array<Object>} subtitles - Subtitle objects from subtitleService.findSubtitles
+ * @param {Object} options - Ranking options
+ * @param {string} options.targetLang - Target language code
+ * @param {Array<string>} options.sourceLanguages - Configured source languages, in order of preference
+ * @param {Object} options.extra - Extras of the Stremio request (see utils.parseStremioExtra)
+ * @param {number} options.limit - Number of candidates to return (default 5)
+ * @returns {Array<Object>} - Best candidates first, as { subtitle, score, breakdown }
+ */
+function rankSubtitles(subtitles, options = {}) {
+  const context = {
+    targetLang: options.targetLang,
+    sourceLanguages: options.sourceLanguages || [],
+    video: parseRelease(options.extra && options.extra.filename)
+  };
+
+  return (subtitles || [])
+    .filter(sub => !sub.pending && (typeof sub.id !== 'string' || !sub.id.includes('_translate_')))
+    .map(sub => scoreSubtitle(sub, context))
+    .filter(isConfiguredLanguage)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, options.limit || DEFAULT_LIMIT);
+}
+
+module.exports = {
+  WEIGHTS,
+  parseRelease,
+  scoreSubtitle,
+  rankSubtitles
+};
@@ -0,0 +1,299 @@
+/**
+ * scheduler.js - Shared scheduler for outbound translation calls
+ * One scheduler per provider enforces its concurrency, requests-per-minute and
+ * tokens-per-minute limits for every translation running on the server. Queued
+ * calls are served round-robin per job, so one long film can't starve another,
+ * and 429/503 replies pause the provider (honouring Retry-After) before retrying
+ */
+
+// Sliding window used for the per-minute limits
+const WINDOW_MS = 60000;
+
+// Rate-limit retries per call before the error is passed on
+const MAX_RATE_LIMIT_RETRIES = 5;
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60000;
+
+// Status codes that mean "slow down" rather than "this request is broken"
+const RATE_LIMIT_STATUSES = [429, 503];
+
+// Schedulers by provider name
+const schedulers = {};
+
+/**
+ * Read a numeric limit from the environment
+ * @param {string} name - Variable name
+ * @returns {number|undefined} - The limit, or undefined if not set
+ */
+function readLimit(name) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+/**
+ * Get the limits for a provider
+ * <PROVIDER>_CONCURRENCY, <PROVIDER>_RPM and <PROVIDER>_TPM override the
+ * TRANSLATION_CONCURRENCY, TRANSLATION_RPM and TRANSLATION_TPM defaults; 0 means unlimited
+ * @param {string} name - Provider name
+ * @returns {Object} - { concurrency, requestsPerMinute, tokensPerMinute }
+ */
+function getLimits(name) {
+  const prefix = name.toUpperCase();
+  const pick = (key, fallback) => {
+    const specific = readLimit(`${prefix}_${key}`);
+    if (specific !== undefined) return specific;
+    const shared = readLimit(`TRANSLATION_${key}`);
+    return shared !== undefined ? shared : fallback;
+  };
+
+  return {
+    concurrency: pick('CONCURRENCY', 4) || Infinity,
+    requestsPerMinute: pick('RPM', 0) || Infinity,
+    tokensPerMinute: pick('TPM', 0) || Infinity
+  };
+}
+
+/**
+ * Work out how long a rate-limited reply asks us to wait
+ * Understands the Retry-After header (seconds or HTTP date) and Gemini's RetryInfo detail
+ * @param {Error} error - Axios error
+ * @returns {number|null} - Milliseconds to wait, or null if the reply doesn't say
+ */
+function getRetryAfterMs(error) {
+  const response = error.response || {};
+  const header = response.headers && response.headers['retry-after'];
+
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const details = response.data && response.data.error && response.data.error.details;
+  if (Array.isArray(details)) {
+    const retryInfo = details.find(detail => detail && typeof detail.retryDelay === 'string');
+    if (retryInfo) {
+      return parseFloat(retryInfo.retryDelay) * 1000;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a scheduler for one provider
+ * @param {string} name - Provider name (for logging)
+ * @param {Object} limits - { concurrency, requestsPerMinute, tokensPerMinute }
+ * @returns {Object} - Scheduler with schedule() and getStats()
+ */
+function createScheduler(name, limits) {
+  const jobQueues = new Map(); // jobId -> queued calls, served round-robin
+  const history = []; // { time, tokens } of calls started in the last minute
+  let active = 0;
+  let pausedUntil = 0;
+  let timer = null;
+  let completed = 0;
+  let rateLimited = 0;
+
+  const queuedCount = () => Array.from(jobQueues.values()).reduce((sum, queue) => sum + queue.length, 0);
+
+  function enqueue(entry, front = false) {
+    if (!jobQueues.has(entry.jobId)) {
+      jobQueues.set(entry.jobId, []);
+    }
+
+    const queue = jobQueues.get(entry.jobId);
+    if (front) {
+      queue.unshift(entry);
+    } else {
+      queue.push(entry);
+    }
+  }
+
+  // The job that has waited longest is first in the map; serve it and move it to the back
+  function takeNext() {
+    for (const [jobId, queue] of jobQueues) {
+      jobQueues.delete(jobId);
+      const entry = queue.shift();
+
+      if (queue.length > 0) {
+        jobQueues.set(jobId, queue);
+      }
+
+      if (entry) {
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  function peekNext() {
+    for (const queue of jobQueues.values()) {
+      if (queue.length > 0) {
+        return queue[0];
+      }
+    }
+
+    return null;
+  }
+
+  // Milliseconds until the entry may start (0 = now, Infinity = when a running call finishes)
+  function getWaitMs(entry, now) {
+    while (history.length > 0 && history[0].time <= now - WINDOW_MS) {
+      history.shift();
+    }
+
+    if (now < pausedUntil) {
+      return pausedUntil - now;
+    }
+
+    if (active >= limits.concurrency) {
+      return Infinity;
+    }
+
+    if (history.length >= limits.requestsPerMinute) {
+      return history[0].time + WINDOW_MS - now;
+    }
+
+    const usedTokens = history.reduce((sum, call) => sum + call.tokens, 0);
+    if (history.length > 0 && usedTokens + entry.tokens > limits.tokensPerMinute) {
+      // Wait until enough of the window has expired to fit this call
+      let released = 0;
+      for (const call of history) {
+        released += call.tokens;
+        if (usedTokens - released + entry.tokens <= limits.tokensPerMinute) {
+          return call.time + WINDOW_MS - now;
+        }
+      }
+      return history[history.length - 1].time + WINDOW_MS - now;
+    }
+
+    return 0;
+  }
+
+  function pump() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    for (let entry = peekNext(); entry; entry = peekNext()) {
+      const waitMs = getWaitMs(entry, Date.now());
+
+      if (waitMs === Infinity) {
+        return; // A finishing call will pump again
+      }
+
+      if (waitMs > 0) {
+        timer = setTimeout(pump, waitMs);
+        return;
+      }
+
+      run(takeNext());
+    }
+  }
+
+  async function run(entry) {
+    active++;
+    history.push({ time: Date.now(), tokens: entry.tokens });
+
+    try {
+      const result = await entry.task();
+      completed++;
+      entry.resolve(result);
+    } catch (error) {
+      const status = error.response && error.response.status;
+
+      if (RATE_LIMIT_STATUSES.includes(status) && entry.attempts < MAX_RATE_LIMIT_RETRIES) {
+        entry.attempts++;
+        rateLimited++;
+
+        const backoff = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, entry.attempts - 1));
+        const waitMs = getRetryAfterMs(error) || backoff;
+        pausedUntil = Math.max(pausedUntil, Date.now() + waitMs);
+
+        console.warn(`${name} returned ${status}, pausing for ${waitMs}ms (retry ${entry.attempts}/${MAX_RATE_LIMIT_RETRIES})`);
+        enqueue(entry, true);
+      } else {
+        // Lets callers fail over instead of retrying a provider that keeps refusing
+        error.rateLimited = RATE_LIMIT_STATUSES.includes(status);
+        entry.reject(error);
+      }
+    } finally {
+      active--;
+      pump();
+    }
+  }
+
+  return {
+    /**
+     * Queue a call to the provider
+     * @param {Function} task - Function returning a promise for the call
+     * @param {Object} options - Scheduling options
+     * @param {string} options.jobId - Calls of the same job share a queue (e.g. one film)
+     * @param {number} options.tokens - Estimated tokens the call will use
+     * @returns {Promise<any>} - Result of the task
+     */
+    schedule(task, { jobId = 'default', tokens = 0 } = {}) {
+      return new Promise((resolve, reject) => {
+        enqueue({ task, jobId, tokens, attempts: 0, resolve, reject });
+        pump();
+      });
+    },
+
+    /**
+     * Get a snapshot of the scheduler state
+     * @returns {Object} - Limits, queue and counters
+     */
+    getStats() {
+      return {
+        limits,
+        active,
+        queued: queuedCount(),
+        jobs: jobQueues.size,
+        pausedForMs: Math.max(0, pausedUntil - Date.now()),
+        completed,
+        rateLimited
+      };
+    }
+  };
+}
+
+/**
+ * Get the shared scheduler for a provider
+ * @param {string} name - Provider name
+ * @returns {Object} - Scheduler
+ */
+function getScheduler(name) {
+  if (!schedulers[name]) {
+    schedulers[name] = createScheduler(name, getLimits(name));
+  }
+
+  return schedulers[name];
+}
+
+/**
+ * Get stats for every scheduler created so far
+ * @returns {Object} - Stats by provider name
+ */
+function getAllStats() {
+  const stats = {};
+  Object.entries(schedulers).forEach(([name, scheduler]) => {
+    stats[name] = scheduler.getStats();
+  });
+  return stats;
+}
+
+module.exports = {
+  getLimits,
+  getRetryAfterMs,
+  getScheduler,
+  getAllStats
+};
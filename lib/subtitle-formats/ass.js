@@ -0,0 +1,383 @@
+/**
+ * ass.js - Advanced SubStation Alpha (.ass) and SubStation Alpha (.ssa) subtitles
+ * Every section other than [Events] is kept as written (script info, styles, fonts, ...).
+ * Dialogue lines become cues with their other fields (layer, style, margins, effect) kept,
+ * and the remaining event lines (Comment:, ...) are kept as comments in their place.
+ * Cue text keeps its override blocks ({\an8}, {\pos(...)}, ...); hard line breaks (\N) become '\n'.
+ */
+
+const { normalizeContent, parseClock, formatClock } = require('./common');
+
+// Event fields when a file has no Format line
+const DEFAULT_EVENT_FIELDS = {
+  ass: ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'],
+  ssa: ['Marked', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text']
+};
+
+// Field values for cues that come from other formats
+const DEFAULT_FIELD_VALUES = {
+  Layer: '0',
+  Marked: 'Marked=0',
+  Style: 'Default',
+  MarginL: '0',
+  MarginR: '0',
+  MarginV: '0'
+};
+
+// Sections written before [Events] for documents converted from other formats
+const DEFAULT_SECTIONS = {
+  ass: [
+    { name: 'Script Info', lines: ['ScriptType: v4.00+', 'WrapStyle: 0', 'ScaledBorderAndShadow: yes', 'PlayResX: 384', 'PlayResY: 288', ''] },
+    { name: 'V4+ Styles', lines: [
+      'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+      'Style: Default,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,2,2,10,10,10,1',
+      ''
+    ] }
+  ],
+  ssa: [
+    { name: 'Script Info', lines: ['ScriptType: v4.00', ''] },
+    { name: 'V4 Styles', lines: [
+      'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, TertiaryColour, BackColour, Bold, Italic, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, AlphaLevel, Encoding',
+      'Style: Default,Arial,20,16777215,255,0,0,0,0,1,2,2,2,10,10,10,0,1',
+      ''
+    ] }
+  ]
+};
+
+/**
+ * Check whether content is ASS or SSA
+ * @param {string} content - Normalized content
+ * @returns {boolean} - True for ASS/SSA
+ */
+function detect(content) {
+  return /^\s*\[Script Info\]/i.test(content) || (/^\[Events\]/im.test(content) && /^Dialogue:/m.test(content));
+}
+
+/**
+ * Split the values of an event line
+ * The last field (Text) may contain commas, so the line is only split that many times
+ * @param {string} values - The line after 'Dialogue:'
+ * @param {number} count - Number of fields
+ * @returns {Array<string>} - Field values
+ */
+function splitFields(values, count) {
+  const parts = values.split(',');
+  return [...parts.slice(0, count - 1), parts.slice(count - 1).join(',')];
+}
+
+/**
+ * Find out whether a script is ASS or the older SSA
+ * @param {Array<Object>} sections - Parsed sections
+ * @returns {string} - 'ass' or 'ssa'
+ */
+function detectVariant(sections) {
+  const scriptInfo = sections.find(section => section.name.toLowerCase() === 'script info');
+  const scriptType = scriptInfo && scriptInfo.lines.find(line => /^ScriptType:/i.test(line));
+
+  if (scriptType) {
+    return /v4\.00\+/i.test(scriptType) ? 'ass' : 'ssa';
+  }
+
+  return sections.some(section => section.name.toLowerCase() === 'v4 styles') ? 'ssa' : 'ass';
+}
+
+/**
+ * Parse ASS or SSA content
+ * @param {string} content - ASS/SSA content
+ * @returns {Object} - Subtitle document with header { sections }, where the [Events]
+ *   section is { name, events: true, fields } and the others { name, lines }
+ */
+function parse(content) {
+  const sections = [];
+  const cues = [];
+  let section = null;
+  let comments = [];
+
+  normalizeContent(content).split('\n').forEach(line => {
+    const heading = line.match(/^\s*\[([^\]]+)\]\s*$/);
+
+    if (heading) {
+      section = /^events$/i.test(heading[1])
+        ? { name: heading[1], events: true, fields: null }
+        : { name: heading[1], lines: [] };
+      sections.push(section);
+      return;
+    }
+
+    if (!section) {
+      return;
+    }
+
+    if (!section.events) {
+      section.lines.push(line);
+      return;
+    }
+
+    if (/^Format:/i.test(line)) {
+      section.fields = line.slice(line.indexOf(':') + 1).split(',').map(field => field.trim());
+      return;
+    }
+
+    const dialogue = line.match(/^Dialogue:\s?(.*)$/i);
+
+    if (!dialogue) {
+      // Comment:, Picture:, Sound:, Movie:, Command: and ; lines stay where they were
+      if (line.trim()) comments.push(line);
+      return;
+    }
+
+    const fields = section.fields || DEFAULT_EVENT_FIELDS[detectVariant(sections)];
+    const values = splitFields(dialogue[1], fields.length);
+    const cue = { id: null, start: 0, end: 0, text: '', data: { fields: {} } };
+
+    fields.forEach((field, index) => {
+      const value = values[index] !== undefined ? values[index] : '';
+
+      if (field === 'Start' || field === 'End') {
+        cue[field.toLowerCase()] = parseClock(value) || 0;
+      } else if (field === 'Text') {
+        cue.text = value.replace(/\\N/g, '\n');
+      } else {
+        cue.data.fields[field] = value;
+      }
+    });
+
+    if (comments.length > 0) {
+      cue.comments = comments;
+      comments = [];
+    }
+
+    cues.push(cue);
+  });
+
+  const format = detectVariant(sections);
+  const events = sections.find(item => item.events);
+  if (events && !events.fields) {
+    events.fields = DEFAULT_EVENT_FIELDS[format];
+  }
+
+  return { format, header: { sections }, cues, comments };
+}
+
+/**
+ * Build an event line
+ * @param {string} type - Event type, e.g. 'Dialogue'
+ * @param {Array<string>} fields - Event fields, in order
+ * @param {Object} cue - Cue with start, end, text and data.fields
+ * @returns {string} - Event line
+ */
+function formatEvent(type, fields, cue) {
+  const known = (cue.data && cue.data.fields) || {};
+
+  const values = fields.map(field => {
+    if (field === 'Start') return formatClock(cue.start, { hourDigits: 1, fractionDigits: 2 });
+    if (field === 'End') return formatClock(cue.end, { hourDigits: 1, fractionDigits: 2 });
+    if (field === 'Text') return cue.text.replace(/\n/g, '\\N');
+    if (known[field] !== undefined) return known[field];
+    return DEFAULT_FIELD_VALUES[field] || '';
+  });
+
+  return `${type}: ${values.join(',')}`;
+}
+
+/**
+ * Write a comment as an event line
+ * Comments kept from ASS files are event lines already; others become Comment: events
+ * @param {string} comment - Comment text
+ * @param {Array<string>} fields - Event fields
+ * @param {Object} cue - Cue the comment comes before, for its timing
+ * @returns {string} - Event line
+ */
+function formatComment(comment, fields, cue) {
+  if (/^(?:Comment|Picture|Sound|Movie|Command):|^;/i.test(comment)) {
+    return comment;
+  }
+
+  return formatEvent('Comment', fields, { start: cue ? cue.start : 0, end: cue ? cue.end : 0, text: comment.trim() });
+}
+
+/**
+ * Serialize a document as ASS or SSA
+ * @param {Object} document - Subtitle document in ASS markup
+ * @returns {string} - ASS/SSA content
+ */
+function serialize(document) {
+  const variant = document.format === 'ssa' ? 'ssa' : 'ass';
+  const sections = document.header && document.header.sections
+    ? [...document.header.sections]
+    : [...DEFAULT_SECTIONS[variant], { name: 'Events', events: true, fields: DEFAULT_EVENT_FIELDS[variant] }];
+
+  if (!sections.some(section => section.events)) {
+    sections.push({ name: 'Events', events: true, fields: DEFAULT_EVENT_FIELDS[variant] });
+  }
+
+  const lines = [];
+
+  sections.forEach((section, index) => {
+    lines.push(`[${section.name}]`);
+
+    if (!section.events) {
+      lines.push(...section.lines);
+      return;
+    }
+
+    const fields = section.fields;
+    lines.push(`Format: ${fields.join(', ')}`);
+
+    document.cues.forEach(cue => {
+      (cue.comments || []).forEach(comment => lines.push(formatComment(comment, fields, cue)));
+      lines.push(formatEvent('Dialogue', fields, cue));
+    });
+
+    (document.comments || []).forEach(comment => lines.push(formatComment(comment, fields, null)));
+
+    // Sections after [Events] are separated by a blank line, like the others
+    if (index < sections.length - 1) {
+      lines.push('');
+    }
+  });
+
+  const content = lines.join('\n');
+  return content.endsWith('\n') ? content : `${content}\n`;
+}
+
+/**
+ * Convert an SSA alignment to the numpad layout ASS uses
+ * SSA numbers bottom 1-3, top 5-7 and middle 9-11
+ * @param {number} value - SSA alignment
+ * @returns {number} - Numpad alignment (1-9)
+ */
+function fromLegacyAlignment(value) {
+  if (value >= 9) return value - 5;
+  if (value >= 5) return value + 2;
+  return value;
+}
+
+/**
+ * Get where a cue is placed on screen
+ * An \an or \a override wins over the alignment of the cue's style
+ * @param {Object} cue - Cue in ASS markup
+ * @param {Object} header - Document header, for the styles
+ * @returns {number|null} - Numpad alignment (1 bottom left ... 9 top right), or null if unknown
+ */
+function getAlignment(cue, header) {
+  const override = cue.text.match(/\{[^}]*\\an([1-9])/);
+  if (override) return Number(override[1]);
+
+  const legacy = cue.text.match(/\{[^}]*\\a(\d{1,2})(?!\d)/);
+  if (legacy) return fromLegacyAlignment(Number(legacy[1]));
+
+  const section = ((header && header.sections) || []).find(item => /^v4\+? styles$/i.test(item.name));
+  if (!section) return null;
+
+  const format = section.lines.find(line => /^Format:/i.test(line));
+  const fields = format ? format.slice(format.indexOf(':') + 1).split(',').map(field => field.trim().toLowerCase()) : [];
+  const nameIndex = fields.indexOf('name');
+  const alignmentIndex = fields.indexOf('alignment');
+  if (nameIndex < 0 || alignmentIndex < 0) return null;
+
+  // Renderers ignore a leading '*' in the style name
+  const styleName = String((cue.data && cue.data.fields && cue.data.fields.Style) || 'Default').replace(/^\*/, '').toLowerCase();
+
+  const style = section.lines
+    .filter(line => /^Style:/i.test(line))
+    .map(line => line.slice(line.indexOf(':') + 1).split(',').map(value => value.trim()))
+    .find(values => (values[nameIndex] || '').toLowerCase() === styleName);
+
+  const value = style ? parseInt(style[alignmentIndex], 10) : NaN;
+  if (!(value > 0)) return null;
+
+  return /^v4 styles$/i.test(section.name) ? fromLegacyAlignment(value) : value;
+}
+
+/**
+ * Convert an ASS colour (&HBBGGRR&) to a basic markup colour
+ * @param {string} value - ASS colour
+ * @returns {string|null} - '#rrggbb', or null if it isn't a colour
+ */
+function toHtmlColor(value) {
+  const match = value.match(/^&H([0-9a-f]{1,8})&?$/i);
+  if (!match) return null;
+
+  const bgr = match[1].padStart(6, '0').slice(-6);
+  return `#${bgr.slice(4, 6)}${bgr.slice(2, 4)}${bgr.slice(0, 2)}`.toLowerCase();
+}
+
+/**
+ * Convert ASS cue text to basic markup
+ * Italic, bold, underline and colour overrides become tags; other overrides and drawings are dropped
+ * @param {string} text - ASS cue text
+ * @returns {string} - Text in basic markup
+ */
+function toBasicMarkup(text) {
+  const open = [];
+  let drawing = false;
+  let result = '';
+
+  const close = tag => {
+    const index = open.lastIndexOf(tag);
+    if (index < 0) return;
+    result += open.splice(index).reverse().map(name => `</${name}>`).join('');
+  };
+
+  text.split(/(\{[^}]*\})/).forEach(part => {
+    if (!part.startsWith('{')) {
+      if (!drawing) result += part.replace(/\\n/g, ' ').replace(/\\h/g, '\u00A0');
+      return;
+    }
+
+    part.slice(1, -1).split('\\').slice(1).forEach(override => {
+      const style = override.match(/^([ibu])(\d*)\s*$/);
+      const color = override.match(/^1?c(.*)$/);
+
+      if (style) {
+        const on = style[2] !== '' && style[2] !== '0';
+        if (on && !open.includes(style[1])) {
+          result += `<${style[1]}>`;
+          open.push(style[1]);
+        } else if (!on) {
+          close(style[1]);
+        }
+      } else if (color) {
+        close('font');
+        const value = toHtmlColor(color[1].trim());
+        if (value) {
+          result += `<font color="${value}">`;
+          open.push('font');
+        }
+      } else if (/^p\d+/.test(override)) {
+        drawing = parseInt(override.slice(1), 10) > 0;
+      } else if (override.trim() === 'r' || /^r\S/.test(override)) {
+        close(open[0]);
+      }
+    });
+  });
+
+  // ASS has no other tags, a '<' in the text is text
+  close(open[0]);
+  return result;
+}
+
+/**
+ * Convert basic markup to ASS cue text
+ * @param {string} text - Text in basic markup
+ * @returns {string} - ASS cue text
+ */
+function fromBasicMarkup(text) {
+  return text
+    .replace(/<(\/?)([ibu])>/gi, (tag, slash, name) => `{\\${name.toLowerCase()}${slash ? 0 : 1}}`)
+    .replace(/<font\s+color=["']?#([0-9a-f]{6})["']?\s*>/gi, (tag, rgb) => `{\\c&H${(rgb.slice(4, 6) + rgb.slice(2, 4) + rgb.slice(0, 2)).toUpperCase()}&}`)
+    .replace(/<\/font>/gi, '{\\c}');
+}
+
+module.exports = {
+  name: 'ass',
+  aliases: ['ssa'],
+  extensions: ['.ass', '.ssa'],
+  detect,
+  parse,
+  serialize,
+  toBasicMarkup,
+  fromBasicMarkup,
+  getAlignment
+};
@@ -0,0 +1,138 @@
+/**
+ * common.js - Helpers shared by the subtitle formats
+ * Documents keep cue times in milliseconds; each format writes them its own way.
+ * Formats convert their markup through basic markup: the tags SRT files use
+ * (<i>, <b>, <u> and <font color="...">) with '\n' between lines. Everything else
+ * in basic markup is text, so formats with entities decode them after dropping their
+ * own tags, and a '<' or '&' that isn't part of a basic tag is written out as text.
+ */
+
+// Basic markup tags, which every format's markup is converted through
+const BASIC_TAG_PATTERN = /<\/?(?:i|b|u)>|<font\s+color=["']?[^"'>]*["']?\s*>|<\/font>/gi;
+
+/**
+ * Prepare file content for parsing
+ * @param {string} content - File content
+ * @returns {string} - Content without a byte order mark and with '\n' line endings
+ */
+function normalizeContent(content) {
+  return String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Split content into blocks separated by blank lines
+ * @param {string} content - Normalized content
+ * @returns {Array<Array<string>>} - Lines of each block
+ */
+function splitBlocks(content) {
+  return content
+    .split(/\n[ \t]*\n/)
+    .map(block => block.replace(/^\n+|\n+$/g, '').split('\n'))
+    .filter(lines => lines.some(line => line.trim()));
+}
+
+/**
+ * Parse a clock timestamp
+ * @param {string} timestamp - e.g. '01:02:03,456' (SRT), '02:03.456' (WebVTT) or '1:02:03.45' (ASS)
+ * @returns {number|null} - Time in milliseconds, or null if it isn't a timestamp
+ */
+function parseClock(timestamp) {
+  const match = String(timestamp || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d+))?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1] || '0', 10);
+  const minutes = parseInt(match[2], 10);
+  const seconds = parseInt(match[3], 10);
+  // The fraction may have any number of digits, e.g. centiseconds in ASS
+  const fraction = match[4] ? Math.round(parseFloat(`0.${match[4]}`) * 1000) : 0;
+
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + fraction;
+}
+
+/**
+ * Format a time as a clock timestamp
+ * @param {number} ms - Time in milliseconds
+ * @param {Object} options - Formatting options
+ * @param {string} options.separator - Separator before the fraction (default '.')
+ * @param {number} options.hourDigits - Minimum digits of the hours (default 2)
+ * @param {number} options.fractionDigits - 3 for milliseconds or 2 for centiseconds (default 3)
+ * @returns {string} - e.g. '01:02:03.456'
+ */
+function formatClock(ms, options = {}) {
+  const { separator = '.', hourDigits = 2, fractionDigits = 3 } = options;
+  const unit = Math.pow(10, 3 - fractionDigits);
+
+  // Round once, so e.g. 59.999s in centiseconds carries into the next minute
+  const total = Math.max(Math.round(ms / unit), 0);
+  const perSecond = 1000 / unit;
+  const seconds = Math.floor(total / perSecond);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  return `${String(hours).padStart(hourDigits, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`
+    + `${separator}${String(total % perSecond).padStart(fractionDigits, '0')}`;
+}
+
+/**
+ * Remove every tag except basic markup
+ * @param {string} text - Cue text
+ * @returns {string} - Text with only basic markup tags
+ */
+function keepBasicTags(text) {
+  const kept = [];
+  const marked = text.replace(BASIC_TAG_PATTERN, tag => `\u0000${kept.push(tag) - 1}\u0000`);
+
+  return marked
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => kept[Number(index)]);
+}
+
+/**
+ * Remove the basic markup tags
+ * @param {string} text - Text in basic markup
+ * @returns {string} - Plain text
+ */
+function stripBasicTags(text) {
+  return text.replace(BASIC_TAG_PATTERN, '');
+}
+
+/**
+ * Decode the entities of XML and WebVTT text
+ * @param {string} text - Encoded text
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00A0', lrm: '\u200E', rlm: '\u200F' };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+
+    return named[name.toLowerCase()] !== undefined ? named[name.toLowerCase()] : entity;
+  });
+}
+
+/**
+ * Escape the characters XML text can't contain
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = {
+  normalizeContent,
+  splitBlocks,
+  parseClock,
+  formatClock,
+  keepBasicTags,
+  stripBasicTags,
+  decodeEntities,
+  escapeXml
+};
@@ -0,0 +1,90 @@
+/**
+ * encoding.js - Decode subtitle files to text
+ * Most subtitle files are UTF-8, but many older ones are in the legacy code page of
+ * their language (Windows-1253 for Greek, Windows-1251 for Cyrillic, ...). Files with a
+ * byte order mark are decoded as it says; otherwise UTF-8 is tried first, and bytes that
+ * aren't valid UTF-8 are decoded with the code page of the subtitle's language.
+ */
+
+// Legacy code pages by ISO 639-1 language code
+const LEGACY_ENCODINGS = {
+  el: 'windows-1253',
+  ru: 'windows-1251',
+  uk: 'windows-1251',
+  bg: 'windows-1251',
+  sr: 'windows-1251',
+  mk: 'windows-1251',
+  be: 'windows-1251',
+  pl: 'windows-1250',
+  cs: 'windows-1250',
+  sk: 'windows-1250',
+  hu: 'windows-1250',
+  ro: 'windows-1250',
+  hr: 'windows-1250',
+  sl: 'windows-1250',
+  bs: 'windows-1250',
+  tr: 'windows-1254',
+  he: 'windows-1255',
+  ar: 'windows-1256',
+  fa: 'windows-1256',
+  lt: 'windows-1257',
+  lv: 'windows-1257',
+  et: 'windows-1257',
+  vi: 'windows-1258',
+  th: 'windows-874',
+  zh: 'gb18030',
+  ja: 'shift_jis',
+  ko: 'euc-kr'
+};
+
+// Western European code page, for every other language
+const DEFAULT_LEGACY_ENCODING = 'windows-1252';
+
+// Byte order marks and the encodings they announce
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be' }
+];
+
+/**
+ * Get the legacy code page subtitles in a language are usually written in
+ * @param {string} lang - Language code, e.g. 'el' or 'zh-TW'
+ * @returns {string} - Encoding name as TextDecoder knows it
+ */
+function getLegacyEncoding(lang) {
+  const code = String(lang || '').toLowerCase();
+
+  // Traditional Chinese uses Big5 rather than the mainland code page
+  if (/^zh-(tw|hk|hant)$/.test(code)) {
+    return 'big5';
+  }
+
+  return LEGACY_ENCODINGS[code.split('-')[0]] || DEFAULT_LEGACY_ENCODING;
+}
+
+/**
+ * Decode the bytes of a subtitle file
+ * @param {Buffer} buffer - File content
+ * @param {string} lang - Language of the subtitle, picks the code page for files that aren't UTF-8
+ * @returns {string} - Decoded text, without a byte order mark
+ */
+function decodeContent(buffer, lang) {
+  const bom = BYTE_ORDER_MARKS.find(mark => mark.bytes.every((byte, index) => buffer[index] === byte));
+  if (bom) {
+    return new TextDecoder(bom.encoding).decode(buffer);
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    const encoding = getLegacyEncoding(lang);
+    console.log(`Subtitle is not valid UTF-8, decoding it as ${encoding}`);
+    return new TextDecoder(encoding).decode(buffer);
+  }
+}
+
+module.exports = {
+  getLegacyEncoding,
+  decodeContent
+};
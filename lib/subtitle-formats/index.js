@@ -0,0 +1,201 @@
+/**
+ * Subtitle formats
+ * Every format parses its files into the same document model and serializes it back:
+ *   document = { format, header, cues, comments }
+ *     format    - format name ('srt', 'vtt', 'ass', 'ssa', 'sbv', 'microdvd', 'ttml')
+ *     header    - everything outside the cues, specific to the format and written back as it was
+ *                 (null when the document was built for or converted to the format)
+ *     cues      - { id, start, end, text, comments, data } with start/end in milliseconds,
+ *                 text in the format's own markup with '\n' between lines, comments written
+ *                 before the cue where the format allows, and data the cue's format-specific
+ *                 fields (WebVTT cue settings, ASS style and margins, ...)
+ *     comments  - comments after the last cue
+ * Converting to another format carries the cues over through basic markup (see common.js);
+ * headers, comments and format-specific fields only survive within the same format.
+ * Formats that place cues on screen may also carry over where a cue goes: the source's
+ * getAlignment(cue, header) gives a numpad alignment (1 bottom left ... 9 top right) and
+ * the target's getAlignmentData(alignment) the cue data that places it there.
+ */
+
+const { normalizeContent } = require('./common');
+const { decodeContent } = require('./encoding');
+const vtt = require('./vtt');
+const ttml = require('./ttml');
+const ass = require('./ass');
+const microdvd = require('./microdvd');
+const sbv = require('./sbv');
+const srt = require('./srt');
+
+// Formats in the order they are tried when detecting a file's format
+const formats = [vtt, ttml, ass, microdvd, sbv, srt];
+
+/**
+ * Get a format by name, alias or file extension
+ * @param {string} name - e.g. 'srt', 'ssa' or '.ass'
+ * @returns {Object} - Format module
+ */
+function getFormat(name) {
+  const key = String(name || '').toLowerCase();
+  const format = formats.find(item => item.name === key
+    || (item.aliases || []).includes(key)
+    || item.extensions.includes(key.startsWith('.') ? key : `.${key}`));
+
+  if (!format) {
+    throw new Error(`Unknown subtitle format: ${name}`);
+  }
+
+  return format;
+}
+
+/**
+ * Get the name documents of a format carry
+ * @param {string} name - Format name, alias or file extension
+ * @returns {string} - Format name
+ */
+function resolveFormatName(name) {
+  const format = getFormat(name);
+
+  // ASS and SSA share a module but are written differently
+  return format === ass && String(name).toLowerCase().replace('.', '') === 'ssa' ? 'ssa' : format.name;
+}
+
+/**
+ * Get the file extensions of all formats
+ * @returns {Array<string>} - e.g. ['.vtt', '.ttml', ...]
+ */
+function getExtensions() {
+  return formats.reduce((extensions, format) => extensions.concat(format.extensions), []);
+}
+
+/**
+ * Get the format name for a file extension
+ * @param {string} extension - e.g. '.srt'
+ * @returns {string|null} - Format name, or null for unknown extensions
+ */
+function getFormatForExtension(extension) {
+  const format = formats.find(item => item.extensions.includes(String(extension || '').toLowerCase()));
+  return format ? format.name : null;
+}
+
+/**
+ * Detect the format of subtitle content
+ * @param {string} content - Subtitle content
+ * @returns {string|null} - Format name, or null if it isn't a known format
+ */
+function detectFormat(content) {
+  const text = normalizeContent(content).replace(/^\s+/, '');
+  const format = formats.find(item => item.detect(text));
+
+  if (!format) {
+    return null;
+  }
+
+  // ASS and SSA share a module; the script itself says which one it is
+  return format === ass ? ass.parse(text).format : format.name;
+}
+
+/**
+ * Parse subtitle content into a document
+ * @param {string} content - Subtitle content
+ * @param {string} format - Format name (detected from the content if not given)
+ * @param {Object} options - Format-specific options, e.g. { fps } for MicroDVD
+ * @returns {Object} - Subtitle document
+ */
+function parseSubtitle(content, format = detectFormat(content), options = {}) {
+  if (!format) {
+    throw new Error('Unrecognized subtitle format');
+  }
+
+  return getFormat(format).parse(normalizeContent(content).replace(/^\s+/, ''), options);
+}
+
+/**
+ * Create a document from cues
+ * @param {string} format - Format name
+ * @param {Array<Object>} cues - Cues in the format's markup
+ * @returns {Object} - Subtitle document
+ */
+function createDocument(format, cues = []) {
+  return { format: resolveFormatName(format), header: null, cues, comments: [] };
+}
+
+/**
+ * Convert a document to another format
+ * Cue text is carried over through basic markup; the result is a new document.
+ * Cues left without text (ASS drawings, for one) are dropped.
+ * @param {Object} document - Subtitle document
+ * @param {string} format - Target format name
+ * @returns {Object} - Subtitle document in the target format
+ */
+function convertDocument(document, format) {
+  const source = getFormat(document.format);
+  const target = getFormat(format);
+
+  if (source === target) {
+    return { ...document, format: resolveFormatName(format) };
+  }
+
+  const cues = document.cues
+    .map(cue => {
+      const converted = {
+        id: cue.id,
+        start: cue.start,
+        end: cue.end,
+        text: target.fromBasicMarkup(source.toBasicMarkup(cue.text))
+      };
+
+      const alignment = source.getAlignment ? source.getAlignment(cue, document.header) : null;
+      const data = alignment && target.getAlignmentData ? target.getAlignmentData(alignment) : null;
+      if (data) converted.data = data;
+
+      return converted;
+    })
+    .filter(cue => cue.text.trim());
+
+  return createDocument(format, cues);
+}
+
+/**
+ * Serialize a document
+ * @param {Object} document - Subtitle document
+ * @param {string} format - Format to write (default: the document's own format)
+ * @returns {string} - Subtitle content
+ */
+function serializeSubtitle(document, format = document.format) {
+  const output = convertDocument(document, format);
+  return getFormat(output.format).serialize(output);
+}
+
+/**
+ * Convert subtitle content to another format
+ * @param {string} content - Subtitle content in any known format
+ * @param {string} format - Target format name
+ * @returns {string} - Subtitle content in the target format
+ */
+function convertSubtitle(content, format) {
+  return serializeSubtitle(parseSubtitle(content), format);
+}
+
+/**
+ * Convert cue text to basic markup
+ * @param {string} text - Cue text in the format's markup
+ * @param {string} format - Format name
+ * @returns {string} - Text in basic markup
+ */
+function toBasicMarkup(text, format) {
+  return getFormat(format).toBasicMarkup(text);
+}
+
+module.exports = {
+  getFormat,
+  getExtensions,
+  getFormatForExtension,
+  detectFormat,
+  parseSubtitle,
+  createDocument,
+  convertDocument,
+  serializeSubtitle,
+  convertSubtitle,
+  toBasicMarkup,
+  decodeContent
+};
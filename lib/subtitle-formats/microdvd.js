@@ -0,0 +1,134 @@
+/**
+ * microdvd.js - MicroDVD (.sub) subtitles
+ * Cues are timed in frames ('{100}{250}Text|Second line'), so times depend on the
+ * video's frame rate. A first cue of '{1}{1}23.976' gives the rate; otherwise
+ * MICRODVD_FPS (default 23.976) is used.
+ */
+
+const { normalizeContent, stripBasicTags } = require('./common');
+
+// Frame rate for files that don't give theirs
+const DEFAULT_FPS = parseFloat(process.env.MICRODVD_FPS) || 23.976;
+
+// Cue line: start frame, end frame (may be empty) and text
+const CUE_PATTERN = /^\{(\d+)\}\{(\d*)\}(.*)$/;
+
+/**
+ * Check whether content is MicroDVD
+ * @param {string} content - Normalized content
+ * @returns {boolean} - True for MicroDVD
+ */
+function detect(content) {
+  return CUE_PATTERN.test((content.split('\n').find(line => line.trim()) || '').trim());
+}
+
+/**
+ * Parse MicroDVD content
+ * @param {string} content - MicroDVD content
+ * @param {Object} options - Parse options
+ * @param {number} options.fps - Frame rate to use when the file doesn't give one
+ * @returns {Object} - Subtitle document with header { fps, fpsLine } where fpsLine is the
+ *   frame rate cue as written, or null
+ */
+function parse(content, options = {}) {
+  const header = { fps: options.fps || DEFAULT_FPS, fpsLine: null };
+  const cues = [];
+
+  normalizeContent(content).split('\n').forEach(line => {
+    const match = line.trim().match(CUE_PATTERN);
+    if (!match) return;
+
+    // A cue holding only a number in the first frames gives the frame rate
+    if (cues.length === 0 && !header.fpsLine && Number(match[1]) <= 1 && /^\s*\d+(?:\.\d+)?\s*$/.test(match[3])) {
+      header.fps = parseFloat(match[3]);
+      header.fpsLine = line.trim();
+      return;
+    }
+
+    const startFrame = Number(match[1]);
+    // Cues without an end frame are shown until the next one; give them a few seconds
+    const endFrame = match[2] ? Number(match[2]) : startFrame + Math.round(header.fps * 3);
+
+    cues.push({
+      id: null,
+      start: Math.round(startFrame * 1000 / header.fps),
+      end: Math.round(endFrame * 1000 / header.fps),
+      text: match[3].replace(/\|/g, '\n')
+    });
+  });
+
+  return { format: 'microdvd', header, cues, comments: [] };
+}
+
+/**
+ * Serialize a document as MicroDVD
+ * @param {Object} document - Subtitle document in MicroDVD markup
+ * @returns {string} - MicroDVD content
+ */
+function serialize(document) {
+  const header = document.header || { fps: DEFAULT_FPS, fpsLine: `{1}{1}${DEFAULT_FPS}` };
+  const toFrame = ms => Math.round(ms * header.fps / 1000);
+  const lines = header.fpsLine ? [header.fpsLine] : [];
+
+  document.cues.forEach(cue => {
+    lines.push(`{${toFrame(cue.start)}}{${toFrame(cue.end)}}${cue.text.replace(/\n+/g, '|')}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Convert MicroDVD cue text to basic markup
+ * {y:i}, {y:b} and {y:u} style one line and {Y:...} every line; other control codes are dropped
+ * @param {string} text - MicroDVD cue text
+ * @returns {string} - Text in basic markup
+ */
+function toBasicMarkup(text) {
+  let allStyles = [];
+
+  return text.split('\n').map(line => {
+    let styles = [...allStyles];
+
+    const plain = line.replace(/\{([a-zA-Z]):([^}]*)\}/g, (code, type, value) => {
+      if (type.toLowerCase() === 'y') {
+        const found = value.toLowerCase().split(',').map(style => style.trim()).filter(style => ['i', 'b', 'u'].includes(style));
+        if (type === 'Y') allStyles = found;
+        styles = [...new Set([...styles, ...found])];
+      }
+      return '';
+    });
+
+    return styles.reduce((result, style) => `<${style}>${result}</${style}>`, plain);
+  }).join('\n');
+}
+
+/**
+ * Convert basic markup to MicroDVD cue text
+ * Lines wrapped in <i>, <b> or <u> get the matching {y:...} code; other tags are dropped
+ * @param {string} text - Text in basic markup
+ * @returns {string} - MicroDVD cue text
+ */
+function fromBasicMarkup(text) {
+  return text.split('\n').map(line => {
+    const styles = [];
+    let inner = line.trim();
+    let match;
+
+    while ((match = inner.match(/^<([ibu])>([\s\S]*)<\/\1>$/i))) {
+      styles.push(match[1].toLowerCase());
+      inner = match[2];
+    }
+
+    return (styles.length > 0 ? `{y:${styles.join(',')}}` : '') + stripBasicTags(inner);
+  }).join('\n');
+}
+
+module.exports = {
+  name: 'microdvd',
+  extensions: ['.sub'],
+  detect,
+  parse,
+  serialize,
+  toBasicMarkup,
+  fromBasicMarkup
+};
@@ -0,0 +1,94 @@
+/**
+ * sbv.js - SubViewer (.sbv/.sub) subtitles, as exported by YouTube
+ * Cues are a '0:00:01.000,0:00:03.000' timing line followed by plain text
+ */
+
+const { normalizeContent, splitBlocks, parseClock, formatClock, stripBasicTags } = require('./common');
+
+// Timing line: start and end separated by a comma
+const TIMING_PATTERN = /^\s*(\d+:\d{1,2}:\d{1,2}[.,]\d+)\s*,\s*(\d+:\d{1,2}:\d{1,2}[.,]\d+)\s*$/;
+
+/**
+ * Check whether content is SubViewer
+ * @param {string} content - Normalized content
+ * @returns {boolean} - True for SubViewer
+ */
+function detect(content) {
+  const firstLine = content.split('\n').find(line => line.trim()) || '';
+  return TIMING_PATTERN.test(firstLine) || /^\s*\[INFORMATION\]/i.test(firstLine);
+}
+
+/**
+ * Parse SubViewer content
+ * SubViewer 2 files start with [INFORMATION] tags, which are kept in the header
+ * @param {string} content - SubViewer content
+ * @returns {Object} - Subtitle document with header { lines }
+ */
+function parse(content) {
+  const lines = normalizeContent(content).split('\n');
+  const firstTiming = lines.findIndex(line => TIMING_PATTERN.test(line));
+  const header = { lines: firstTiming > 0 ? lines.slice(0, firstTiming) : [] };
+  const cues = [];
+
+  splitBlocks(lines.slice(Math.max(firstTiming, 0)).join('\n')).forEach(block => {
+    const timing = block[0].match(TIMING_PATTERN);
+
+    if (!timing) {
+      return;
+    }
+
+    cues.push({
+      id: null,
+      start: parseClock(timing[1]),
+      end: parseClock(timing[2]),
+      // SubViewer 2 writes line breaks as [br]
+      text: block.slice(1).join('\n').replace(/\[br\]/gi, '\n').trim()
+    });
+  });
+
+  return { format: 'sbv', header, cues, comments: [] };
+}
+
+/**
+ * Serialize a document as SubViewer
+ * @param {Object} document - Subtitle document
+ * @returns {string} - SubViewer content
+ */
+function serialize(document) {
+  const header = document.header && document.header.lines.length > 0 ? `${document.header.lines.join('\n')}\n` : '';
+  // Files with a SubViewer 2 header break lines with [br]
+  const lineBreak = header ? '[br]' : '\n';
+
+  return header + document.cues.map(cue => {
+    const timing = `${formatClock(cue.start, { hourDigits: 1 })},${formatClock(cue.end, { hourDigits: 1 })}`;
+    return `${timing}\n${cue.text.replace(/\n\s*\n/g, '\n').replace(/\n/g, lineBreak)}\n`;
+  }).join('\n');
+}
+
+/**
+ * Convert SubViewer cue text to basic markup
+ * @param {string} text - SubViewer cue text
+ * @returns {string} - Text in basic markup
+ */
+function toBasicMarkup(text) {
+  return text;
+}
+
+/**
+ * Convert basic markup to SubViewer cue text, which has no formatting
+ * @param {string} text - Text in basic markup
+ * @returns {string} - SubViewer cue text
+ */
+function fromBasicMarkup(text) {
+  return stripBasicTags(text);
+}
+
+module.exports = {
+  name: 'sbv',
+  extensions: ['.sbv'],
+  detect,
+  parse,
+  serialize,
+  toBasicMarkup,
+  fromBasicMarkup
+};
@@ -0,0 +1,114 @@
+/**
+ * srt.js - SubRip (.srt) subtitles
+ * Cue text is kept as written, including the <i>/<b>/<u>/<font> tags SRT files use
+ * and the {\an8}-style positioning some of them carry
+ */
+
+const { normalizeContent, splitBlocks, parseClock, formatClock, keepBasicTags } = require('./common');
+
+// Timing line, optionally followed by the X1:... Y2:... coordinates some files have
+const TIMING_PATTERN = /^\s*([\d:.,]+)\s*-->\s*([\d:.,]+)(.*)$/;
+
+/**
+ * Check whether content is SRT
+ * The cue number before the first timing line is left out by some tools
+ * @param {string} content - Normalized content
+ * @returns {boolean} - True for SRT
+ */
+function detect(content) {
+  return /^\s*(\d+[ \t]*\n[ \t]*)?\d+:\d{2}:\d{2}[,.]\d{1,3}[ \t]*-->/.test(content);
+}
+
+/**
+ * Parse SRT content
+ * @param {string} content - SRT content
+ * @returns {Object} - Subtitle document
+ */
+function parse(content) {
+  const cues = [];
+
+  splitBlocks(normalizeContent(content)).forEach(lines => {
+    const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+    const timing = timingIndex >= 0 ? lines[timingIndex].match(TIMING_PATTERN) : null;
+    const start = timing ? parseClock(timing[1]) : null;
+    const end = timing ? parseClock(timing[2]) : null;
+
+    if (start === null || end === null) {
+      // A blank line inside a cue's text splits it into a block without a timing line
+      if (cues.length > 0) {
+        cues[cues.length - 1].text += `\n\n${lines.join('\n')}`;
+      }
+      return;
+    }
+
+    const cue = {
+      id: timingIndex > 0 ? lines.slice(0, timingIndex).join(' ').trim() : null,
+      start,
+      end,
+      text: lines.slice(timingIndex + 1).join('\n').trim()
+    };
+
+    if (timing[3].trim()) {
+      cue.data = { coordinates: timing[3].trim() };
+    }
+
+    cues.push(cue);
+  });
+
+  return { format: 'srt', header: null, cues, comments: [] };
+}
+
+/**
+ * Serialize a document as SRT
+ * Cues are numbered in order; SRT has no comments, so they are left out
+ * @param {Object} document - Subtitle document in SRT markup
+ * @returns {string} - SRT content
+ */
+function serialize(document) {
+  return document.cues.map((cue, index) => {
+    const coordinates = cue.data && cue.data.coordinates ? ` ${cue.data.coordinates}` : '';
+    const timing = `${formatClock(cue.start, { separator: ',' })} --> ${formatClock(cue.end, { separator: ',' })}${coordinates}`;
+
+    // A blank line would end the cue early
+    return `${index + 1}\n${timing}\n${cue.text.replace(/\n\s*\n/g, '\n')}\n`;
+  }).join('\n');
+}
+
+/**
+ * Convert SRT cue text to basic markup
+ * @param {string} text - SRT cue text
+ * @returns {string} - Text in basic markup
+ */
+function toBasicMarkup(text) {
+  return keepBasicTags(text.replace(/\{\\[^}]*\}/g, ''));
+}
+
+/**
+ * Convert basic markup to SRT cue text
+ * @param {string} text - Text in basic markup
+ * @returns {string} - SRT cue text
+ */
+function fromBasicMarkup(text) {
+  return text;
+}
+
+/**
+ * Get where a cue is placed on screen, from an {\an8}-style tag
+ * @param {Object} cue - Cue in SRT markup
+ * @returns {number|null} - Numpad alignment (1 bottom left ... 9 top right), or null if the cue has none
+ */
+function getAlignment(cue) {
+  const override = cue.text.match(/\{[^}]*\\an([1-9])/);
+  return override ? Number(override[1]) : null;
+}
+
+module.exports = {
+  name: 'srt',
+  extensions: ['.srt'],
+  detect,
+  parse,
+  serialize,
+  toBasicMarkup,
+  fromBasicMarkup,
+  getAlignment
+};
@@ -0,0 +1,225 @@
+/**
+ * ttml.js - TTML and DFXP (.ttml/.dfxp) subtitles
+ * Each <p> element becomes a cue. Everything around the <p> elements (head, styles,
+ * regions, divs) is kept as written, and so are the attributes and markup of cues
+ * whose time and text weren't changed.
+ */
+
+const { normalizeContent, formatClock, keepBasicTags, decodeEntities, escapeXml } = require('./common');
+
+// Paragraph elements; TTML doesn't nest them
+const PARAGRAPH_PATTERN = /<p\b([^>]*)>([\s\S]*?)<\/p>/g;
+
+// Document around the cues of files converted from other formats
+const DEFAULT_HEADER = {
+  prefix: '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling">\n'
+    + '  <body>\n'
+    + '    <div>',
+  suffix: '\n    </div>\n  </body>\n</tt>\n',
+  frameRate: 30,
+  tickRate: 1
+};
+
+// Indentation of cues added to a document
+const CUE_INDENT = '\n      ';
+
+// Spans with these styles become basic markup tags
+const SPAN_STYLES = [
+  { pattern: /tts:fontStyle\s*=\s*["']italic["']/, tag: 'i' },
+  { pattern: /tts:fontWeight\s*=\s*["']bold["']/, tag: 'b' },
+  { pattern: /tts:textDecoration\s*=\s*["']underline["']/, tag: 'u' }
+];
+
+/**
+ * Check whether content is TTML
+ * @param {string} content - Normalized content
+ * @returns {boolean} - True for TTML
+ */
+function detect(content) {
+  return /<tt[\s>]/.test(content.slice(0, 2000));
+}
+
+/**
+ * Read an attribute from an attribute string
+ * @param {string} attributes - e.g. ' begin="00:00:01.000" end="00:00:02.000"'
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Attribute value
+ */
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(["'])(.*?)\\1`));
+  return match ? match[2] : null;
+}
+
+/**
+ * Parse a TTML time expression
+ * @param {string} value - Clock time ('00:00:01.500', '00:00:01:12' with frames) or offset ('1.5s', '1500ms', '36f', '15000t')
+ * @param {Object} rates - { frameRate, tickRate }
+ * @returns {number|null} - Time in milliseconds
+ */
+function parseTime(value, rates) {
+  if (!value) return null;
+
+  const clock = value.trim().match(/^(\d+):(\d{2}):(\d{2})(?:\.(\d+)|:(\d+(?:\.\d+)?))?$/);
+  if (clock) {
+    const seconds = Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+    const fraction = clock[4] ? parseFloat(`0.${clock[4]}`) : clock[5] ? parseFloat(clock[5]) / rates.frameRate : 0;
+    return Math.round((seconds + fraction) * 1000);
+  }
+
+  const offset = value.trim().match(/^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/);
+  if (offset) {
+    const amount = parseFloat(offset[1]);
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1, f: 1000 / rates.frameRate, t: 1000 / rates.tickRate };
+    return Math.round(amount * units[offset[2]]);
+  }
+
+  return null;
+}
+
+/**
+ * Read the text of a <p> element
+ * Whitespace is collapsed the way TTML renders it and <br/> becomes '\n'
+ * @param {string} inner - Markup inside the <p> element
+ * @returns {string} - Cue text in TTML markup
+ */
+function readText(inner) {
+  return inner
+    .replace(/\s+/g, ' ')
+    .replace(/\s*<br\s*\/?>\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Parse TTML content
+ * @param {string} content - TTML content
+ * @returns {Object} - Subtitle document with header { prefix, suffix, frameRate, tickRate }
+ */
+function parse(content) {
+  const text = normalizeContent(content);
+  const root = (text.match(/<tt\b[^>]*>/) || [''])[0];
+  const rates = {
+    frameRate: parseFloat(getAttribute(root, 'ttp:frameRate')) || DEFAULT_HEADER.frameRate,
+    tickRate: parseFloat(getAttribute(root, 'ttp:tickRate')) || 1
+  };
+
+  const cues = [];
+  let position = null;
+  let lastEnd = 0;
+  let match;
+
+  PARAGRAPH_PATTERN.lastIndex = 0;
+  while ((match = PARAGRAPH_PATTERN.exec(text))) {
+    const attributes = match[1];
+    const start = parseTime(getAttribute(attributes, 'begin'), rates);
+    const duration = parseTime(getAttribute(attributes, 'dur'), rates);
+    const end = parseTime(getAttribute(attributes, 'end'), rates);
+
+    if (position === null) position = match.index;
+
+    if (start !== null && (end !== null || duration !== null)) {
+      const cueText = readText(match[2]);
+
+      cues.push({
+        id: getAttribute(attributes, 'xml:id'),
+        start,
+        end: end !== null ? end : start + duration,
+        text: cueText,
+        // Kept to write unchanged cues back exactly as they were
+        data: { before: text.slice(lastEnd || match.index, match.index), attributes, inner: match[2], start, end: end !== null ? end : start + duration, text: cueText }
+      });
+    }
+
+    lastEnd = match.index + match[0].length;
+  }
+
+  const header = cues.length > 0
+    ? { prefix: text.slice(0, position), suffix: text.slice(lastEnd), ...rates }
+    : { ...DEFAULT_HEADER, ...rates };
+
+  return { format: 'ttml', header, cues, comments: [] };
+}
+
+/**
+ * Serialize a document as TTML
+ * @param {Object} document - Subtitle document in TTML markup
+ * @returns {string} - TTML content
+ */
+function serialize(document) {
+  const header = document.header || DEFAULT_HEADER;
+
+  const paragraphs = document.cues.map(cue => {
+    const data = cue.data || {};
+    const before = data.before !== undefined ? data.before : CUE_INDENT;
+    const comments = (cue.comments || []).map(comment => `<!-- ${comment.replace(/--/g, '- -')} -->${CUE_INDENT}`).join('');
+
+    if (data.inner !== undefined && cue.start === data.start && cue.end === data.end && cue.text === data.text) {
+      return `${before}${comments}<p${data.attributes}>${data.inner}</p>`;
+    }
+
+    const attributes = (data.attributes || '')
+      .replace(/\s(?:begin|end|dur)\s*=\s*(["']).*?\1/g, '')
+      + ` begin="${formatClock(cue.start)}" end="${formatClock(cue.end)}"`;
+
+    return `${before}${comments}<p${attributes}>${cue.text.replace(/\n/g, '<br/>')}</p>`;
+  });
+
+  return header.prefix + paragraphs.join('') + header.suffix;
+}
+
+/**
+ * Convert TTML cue text to basic markup
+ * Italic, bold and underlined spans become tags; other spans keep only their text
+ * @param {string} text - TTML cue text
+ * @returns {string} - Text in basic markup
+ */
+function toBasicMarkup(text) {
+  const open = [];
+
+  const converted = text.replace(/<span\b([^>]*)>|<\/span>/g, (tag, attributes) => {
+    if (attributes === undefined) {
+      return (open.pop() || []).reverse().map(name => `</${name}>`).join('');
+    }
+
+    const tags = SPAN_STYLES.filter(style => style.pattern.test(attributes)).map(style => style.tag);
+    const color = getAttribute(attributes, 'tts:color');
+    if (color && /^#[0-9a-f]{6}/i.test(color)) tags.push('font');
+
+    open.push(tags);
+    return tags.map(name => (name === 'font' ? `<font color="${color.slice(0, 7)}">` : `<${name}>`)).join('');
+  });
+
+  return decodeEntities(keepBasicTags(converted));
+}
+
+/**
+ * Convert basic markup to TTML cue text
+ * @param {string} text - Text in basic markup
+ * @returns {string} - TTML cue text
+ */
+function fromBasicMarkup(text) {
+  const styles = { i: 'tts:fontStyle="italic"', b: 'tts:fontWeight="bold"', u: 'tts:textDecoration="underline"' };
+
+  return text
+    .split(/(<\/?(?:i|b|u)>|<font\s+color=["']?[^"'>]*["']?\s*>|<\/font>)/i)
+    .map((part, index) => {
+      if (index % 2 === 0) return escapeXml(part);
+
+      const tag = part.match(/^<(\/?)(\w+)/);
+      if (tag[1]) return '</span>';
+      if (tag[2].toLowerCase() === 'font') return `<span tts:color="${part.match(/color=["']?([^"'>\s]*)/i)[1]}">`;
+      return `<span ${styles[tag[2].toLowerCase()]}>`;
+    })
+    .join('');
+}
+
+module.exports = {
+  name: 'ttml',
+  aliases: ['dfxp'],
+  extensions: ['.ttml', '.dfxp'],
+  detect,
+  parse,
+  serialize,
+  toBasicMarkup,
+  fromBasicMarkup
+};
@@ -0,0 +1,225 @@
+/**
+ * vtt.js - WebVTT (.vtt) subtitles
+ * Keeps the header text, STYLE and REGION blocks, NOTE comments, cue identifiers
+ * and cue settings (position, line, align, region, ...), so files round-trip unchanged
+ */
+
+const { normalizeContent, splitBlocks, parseClock, formatClock, keepBasicTags, decodeEntities } = require('./common');
+
+// Timing line with optional cue settings
+const TIMING_PATTERN = /^\s*([\d:.,]+)[ \t]+-->[ \t]+([\d:.,]+)(?:[ \t]+(.*))?$/;
+
+// Colour classes players style by default (<c.yellow>), by the colour they stand for
+const COLOR_CLASSES = {
+  '#ffffff': 'white',
+  '#00ff00': 'lime',
+  '#00ffff': 'cyan',
+  '#ff0000': 'red',
+  '#ffff00': 'yellow',
+  '#ff00ff': 'magenta',
+  '#0000ff': 'blue',
+  '#000000': 'black'
+};
+
+/**
+ * Check whether content is WebVTT
+ * @param {string} content - Normalized content
+ * @returns {boolean} - True for WebVTT
+ */
+function detect(content) {
+  return /^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(content);
+}
+
+/**
+ * Parse WebVTT content
+ * Blocks before the first cue (STYLE, REGION, NOTE) stay in the header as written;
+ * NOTE blocks between cues become the comments of the cue that follows them
+ * @param {string} content - WebVTT content
+ * @returns {Object} - Subtitle document with header { title, metadata, blocks }
+ */
+function parse(content) {
+  const blocks = splitBlocks(normalizeContent(content));
+  const headerLines = blocks.length > 0 && /^WEBVTT/.test(blocks[0][0]) ? blocks.shift() : ['WEBVTT'];
+
+  // Some files start the first cue right under the header, without a blank line
+  const firstTiming = headerLines.findIndex(line => TIMING_PATTERN.test(line));
+  if (firstTiming > 0) {
+    blocks.unshift(headerLines.splice(firstTiming));
+  }
+
+  const header = {
+    title: headerLines[0].slice('WEBVTT'.length),
+    metadata: headerLines.slice(1),
+    blocks: []
+  };
+
+  const cues = [];
+  let comments = [];
+
+  blocks.forEach(lines => {
+    if (/^NOTE(?:[ \t]|$)/.test(lines[0])) {
+      const text = lines.join('\n').slice('NOTE'.length);
+      if (cues.length === 0) {
+        header.blocks.push(lines.join('\n'));
+      } else {
+        comments.push(text.startsWith('\n') ? text : text.replace(/^[ \t]/, ''));
+      }
+      return;
+    }
+
+    const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+    const timing = timingIndex >= 0 && timingIndex <= 1 ? lines[timingIndex].match(TIMING_PATTERN) : null;
+    const start = timing ? parseClock(timing[1]) : null;
+    const end = timing ? parseClock(timing[2]) : null;
+
+    if (start === null || end === null) {
+      // STYLE and REGION blocks may only come before the first cue; anything else is invalid and dropped
+      if (cues.length === 0 && /^(?:STYLE|REGION)[ \t]*$/.test(lines[0])) {
+        header.blocks.push(lines.join('\n'));
+      }
+      return;
+    }
+
+    const cue = {
+      id: timingIndex === 1 ? lines[0].trim() : null,
+      start,
+      end,
+      text: lines.slice(timingIndex + 1).join('\n')
+    };
+
+    if (timing[3] && timing[3].trim()) {
+      cue.data = { settings: timing[3].trim() };
+    }
+
+    if (comments.length > 0) {
+      cue.comments = comments;
+      comments = [];
+    }
+
+    cues.push(cue);
+  });
+
+  return { format: 'vtt', header, cues, comments };
+}
+
+/**
+ * Write a comment as a NOTE block
+ * @param {string} comment - Comment text
+ * @returns {string} - NOTE block
+ */
+function formatNote(comment) {
+  // A comment can't contain '-->' or a blank line
+  const text = comment.replace(/-->/g, '->').replace(/\n\s*\n/g, '\n');
+
+  if (!text) return 'NOTE';
+  return text.startsWith('\n') ? `NOTE${text}` : `NOTE ${text}`;
+}
+
+/**
+ * Serialize a document as WebVTT
+ * @param {Object} document - Subtitle document in WebVTT markup
+ * @returns {string} - WebVTT content
+ */
+function serialize(document) {
+  const header = document.header || { title: '', metadata: [], blocks: [] };
+  const parts = [['WEBVTT' + header.title, ...header.metadata].join('\n'), ...header.blocks];
+
+  document.cues.forEach(cue => {
+    (cue.comments || []).forEach(comment => parts.push(formatNote(comment)));
+
+    const settings = cue.data && cue.data.settings ? ` ${cue.data.settings}` : '';
+    const lines = [];
+
+    if (cue.id) lines.push(cue.id);
+    lines.push(`${formatClock(cue.start)} --> ${formatClock(cue.end)}${settings}`);
+    // A blank line would end the cue early
+    if (cue.text) lines.push(cue.text.replace(/\n\s*\n/g, '\n'));
+
+    parts.push(lines.join('\n'));
+  });
+
+  (document.comments || []).forEach(comment => parts.push(formatNote(comment)));
+
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Convert WebVTT cue text to basic markup
+ * Colour classes become <font> tags; voice, language and other class spans and
+ * karaoke timestamps have no basic equivalent and are dropped
+ * @param {string} text - WebVTT cue text
+ * @returns {string} - Text in basic markup
+ */
+function toBasicMarkup(text) {
+  const classes = [];
+
+  const converted = text.replace(/<c((?:\.[\w-]+)*)>|<\/c>/g, (tag, names) => {
+    if (names === undefined) {
+      return classes.pop() ? '</font>' : '';
+    }
+
+    const color = Object.keys(COLOR_CLASSES).find(value => names.split('.').includes(COLOR_CLASSES[value]));
+    classes.push(color);
+    return color ? `<font color="${color}">` : '';
+  });
+
+  return decodeEntities(keepBasicTags(converted.replace(/<\d[^>]*>/g, '')));
+}
+
+/**
+ * Convert basic markup to WebVTT cue text
+ * Font colours become colour classes where WebVTT has one; other <font> tags are dropped
+ * @param {string} text - Text in basic markup
+ * @returns {string} - WebVTT cue text
+ */
+function fromBasicMarkup(text) {
+  const fonts = [];
+
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/<(?!\/?[ibu]>|font\b[^>]*>|\/font>)/gi, '&lt;')
+    .replace(/<font\b[^>]*>|<\/font>/gi, tag => {
+      if (tag.startsWith('</')) {
+        return fonts.pop() ? '</c>' : '';
+      }
+
+      const color = (tag.match(/color=["']?([^"'>\s]*)/i) || [])[1] || '';
+      const name = COLOR_CLASSES[color.toLowerCase()] || Object.values(COLOR_CLASSES).find(value => value === color.toLowerCase());
+      fonts.push(name);
+      return name ? `<c.${name}>` : '';
+    });
+}
+
+/**
+ * Get the cue settings that place a cue on screen
+ * @param {number} alignment - Numpad alignment (1 bottom left ... 9 top right)
+ * @returns {Object|null} - Cue data with the settings, or null for the default (bottom centre)
+ */
+function getAlignmentData(alignment) {
+  const settings = [];
+
+  if (alignment >= 7) {
+    settings.push('line:0');
+  } else if (alignment >= 4) {
+    settings.push('line:50%,center');
+  }
+
+  if (alignment % 3 === 1) {
+    settings.push('align:left');
+  } else if (alignment % 3 === 0) {
+    settings.push('align:right');
+  }
+
+  return settings.length > 0 ? { settings: settings.join(' ') } : null;
+}
+
+module.exports = {
+  name: 'vtt',
+  extensions: ['.vtt'],
+  detect,
+  parse,
+  serialize,
+  toBasicMarkup,
+  fromBasicMarkup,
+  getAlignmentData
+};
@@ -0,0 +1,308 @@
+/**
+ * addons.js - Subtitle provider that searches other Stremio subtitle add-ons
+ * Users list the add-ons they have installed in their configuration (sourceAddons),
+ * and their subtitles become sources for translation. Each add-on is asked through
+ * the standard /subtitles/{type}/{id}/{extra}.json endpoint with Stremio's extras.
+ * The URLs come from users, so by default they may not reach private or loopback
+ * addresses: the server would otherwise fetch from its own network for anyone.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const NodeCache = require('node-cache');
+const manifest = require('../../manifest.json');
+const subtitleFormats = require('../subtitle-formats');
+const { convertLanguageCode } = require('../utils');
+
+// Add-on answers are reused for an hour; their subtitle URLs may not live much longer
+const resultCache = new NodeCache({ stdTTL: 3600 });
+
+// Manifests are checked once an hour, so a fixed or updated add-on is picked up again
+const manifestCache = new NodeCache({ stdTTL: 3600 });
+
+// Self-hosted setups can allow add-ons on their own network
+const ALLOW_PRIVATE_HOSTS = process.env.ADDONS_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Redirects are followed one at a time, so every hop is checked like the first URL
+const MAX_REDIRECTS = 5;
+
+// Largest answer read from an add-on; manifests and subtitle files are far smaller
+const MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+
+// Loopback, private, link-local and other non-public address ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is private, loopback or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address is not public
+ */
+function isPrivateAddress(address) {
+  // IPv4 addresses mapped into IPv6 (::ffff:127.0.0.1)
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a host name like dns.lookup, failing for private addresses
+ * Used for every connection, so changing DNS answers are covered too
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(item => item.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to the private address ${blocked}`));
+    }
+
+    return callback(null, address, family);
+  });
+}
+
+/**
+ * Fetch a URL given by a user or an add-on
+ * @param {string} url - URL to fetch
+ * @param {Object} options - axios options
+ * @returns {Promise<Object>} - axios response
+ */
+async function fetchUrl(url, options) {
+  if (ALLOW_PRIVATE_HOSTS) {
+    return axios.get(url, { ...options, maxContentLength: MAX_RESPONSE_BYTES, maxRedirects: MAX_REDIRECTS });
+  }
+
+  let currentUrl = url;
+
+  for (let redirects = 0; ; redirects++) {
+    const { protocol, hostname } = new URL(currentUrl);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error(`${protocol} URLs can't be fetched`);
+    }
+
+    // Addresses written as IPs are connected to without a lookup
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isPrivateAddress(host)) {
+      throw new Error(`${host} is a private address`);
+    }
+
+    const response = await axios.get(currentUrl, {
+      ...options,
+      lookup: lookupPublicAddress,
+      maxContentLength: MAX_RESPONSE_BYTES,
+      maxRedirects: 0,
+      validateStatus: status => status >= 200 && status < 400
+    });
+
+    if (response.status < 300) {
+      return response;
+    }
+
+    if (!response.headers.location) {
+      throw new Error(`Redirect without a location from ${currentUrl}`);
+    }
+
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`Too many redirects fetching ${url}`);
+    }
+
+    currentUrl = new URL(response.headers.location, currentUrl).href;
+  }
+}
+
+/**
+ * Check whether an add-on serves subtitles for a media ID
+ * @param {Object} addonManifest - The add-on's manifest
+ * @param {string} type - Type of content
+ * @param {string} mediaId - Stremio media ID
+ * @returns {boolean} - True if the add-on can be asked for subtitles
+ */
+function servesSubtitles(addonManifest, type, mediaId) {
+  const resource = (addonManifest.resources || []).find(item => item === 'subtitles' || (item && item.name === 'subtitles'));
+
+  if (!resource) {
+    return false;
+  }
+
+  // Resources and the manifest itself can restrict types and ID prefixes
+  const types = resource.types || addonManifest.types;
+  const idPrefixes = resource.idPrefixes || addonManifest.idPrefixes;
+
+  return (!types || types.includes(type))
+    && (!idPrefixes || idPrefixes.some(prefix => mediaId.startsWith(prefix)));
+}
+
+/**
+ * Get an add-on's manifest
+ * @param {string} baseUrl - Add-on base URL
+ * @param {number} timeout - Request timeout in milliseconds
+ * @returns {Promise<Object|null>} - The manifest, or null if it can't be loaded
+ */
+async function getManifest(baseUrl, timeout) {
+  const cached = manifestCache.get(baseUrl);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await fetchUrl(`${baseUrl}/manifest.json`, { timeout });
+
+    if (!response.data || !response.data.id) {
+      console.warn(`Subtitle add-on at ${baseUrl} returned no manifest`);
+      return null;
+    }
+
+    manifestCache.set(baseUrl, response.data);
+    return response.data;
+  } catch (error) {
+    console.error(`Error loading the manifest of subtitle add-on ${baseUrl}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Build the path segment carrying Stremio's extras
+ * @param {Object} extra - { videoHash, videoSize, filename }
+ * @returns {string} - e.g. '/videoHash=...&videoSize=...', or '' without extras
+ */
+function buildExtraSegment(extra = {}) {
+  const params = new URLSearchParams();
+
+  ['videoHash', 'videoSize', 'filename'].forEach(key => {
+    if (extra[key]) params.set(key, extra[key]);
+  });
+
+  const query = params.toString();
+  return query ? `/${query}` : '';
+}
+
+/**
+ * Ask one add-on for subtitles
+ * @param {string} baseUrl - Add-on base URL
+ * @param {Object} query - { type, mediaId, extra }
+ * @param {number} deadline - Time (ms since epoch) by which the add-on has to have answered
+ * @returns {Promise<Array<Object>>} - Subtitle objects
+ */
+async function searchAddon(baseUrl, query, deadline) {
+  const addonManifest = await getManifest(baseUrl, Math.max(deadline - Date.now(), 1));
+
+  // Asking ourselves would start a translation of a translation
+  if (!addonManifest || addonManifest.id === manifest.id) {
+    return [];
+  }
+
+  if (!servesSubtitles(addonManifest, query.type, query.mediaId)) {
+    return [];
+  }
+
+  const url = `${baseUrl}/subtitles/${encodeURIComponent(query.type)}/${encodeURIComponent(query.mediaId)}${buildExtraSegment(query.extra)}.json`;
+  let entries = resultCache.get(url);
+
+  if (!entries) {
+    const response = await fetchUrl(url, { timeout: Math.max(deadline - Date.now(), 1) });
+    entries = (response.data && Array.isArray(response.data.subtitles) ? response.data.subtitles : [])
+      .filter(entry => entry && typeof entry.url === 'string' && /^https?:\/\//i.test(entry.url) && entry.lang);
+    resultCache.set(url, entries);
+  }
+
+  const name = addonManifest.name || addonManifest.id;
+  console.log(`Found ${entries.length} subtitles on add-on ${name}`);
+
+  // Entry IDs are often just languages or positions, so the file's URL identifies it (see downloadSubtitle's cache)
+  return entries.map(entry => ({
+    id: `addons:${addonManifest.id}:${crypto.createHash('sha1').update(entry.url).digest('hex').slice(0, 16)}`,
+    provider: 'addons',
+    download_url: entry.url,
+    // Add-ons often use ISO 639-2 codes (e.g. 'eng')
+    lang: convertLanguageCode(entry.lang.split('-')[0]),
+    title: entry.title || `${name} ${entry.lang}`,
+    downloads: 0,
+    rating: 0,
+    // Known only when the URL ends in a subtitle file extension
+    format: subtitleFormats.getFormatForExtension(path.posix.extname(entry.url.split(/[?#]/)[0])),
+    addon: name
+  }));
+}
+
+/**
+ * Create the add-on proxy provider
+ * @returns {Object} - Subtitle provider
+ */
+function createAddonsProvider() {
+  return {
+    name: 'addons',
+    capabilities: {
+      idTypes: ['any'], // Add-ons get the Stremio ID as it is
+      episodes: true,
+      languages: null, // Whatever the user's add-ons have
+      downloadQuota: false,
+      cacheResults: false, // The add-ons to ask differ per user
+      cacheDownloads: true
+    },
+
+    // Add-ons come from each user's configuration
+    isConfigured() {
+      return true;
+    },
+
+    /**
+     * Ask the user's add-ons for subtitles
+     * An add-on that fails or is too slow is left out without affecting the others
+     * @param {Object} query - { type, mediaId, config, extra }
+     * @param {Object} options - Search options
+     * @param {number} options.timeout - Request timeout in milliseconds
+     * @returns {Promise<Array<Object>>} - Subtitle objects
+     */
+    async search(query, options = {}) {
+      const addons = (query.config && query.config.sourceAddons) || [];
+      const deadline = Date.now() + (options.timeout || 10000);
+
+      const results = await Promise.all(addons.map(baseUrl => searchAddon(baseUrl, query, deadline)
+        .catch(error => {
+          console.error(`Subtitle add-on ${baseUrl} search failed: ${error.message}`);
+          return [];
+        })));
+
+      return results.flat();
+    },
+
+    /**
+     * Download a subtitle found by search()
+     * @param {Object} subtitle - Subtitle object
+     * @returns {Promise<string>} - Subtitle content
+     */
+    async download(subtitle) {
+      const response = await fetchUrl(subtitle.download_url, { responseType: 'text', timeout: 30000 });
+      return response.data;
+    },
+
+    /**
+     * Add-ons don't report download quotas
+     * @returns {null}
+     */
+    getQuota() {
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  createAddonsProvider
+};
@@ -0,0 +1,130 @@
+/**
+ * Subtitle provider registry
+ * Every provider exposes the same interface:
+ *   name                    - identifier used for logging, caching and subtitle IDs
+ *   capabilities            - { idTypes, episodes, languages, downloadQuota, cacheResults, cacheDownloads }
+ *   isConfigured()          - whether the provider has the settings it needs
+ *   search(query, options)  - find subtitles for { type, mediaId, media, config, extra } (media as
+ *                             resolved by id-mapping.resolveMediaId, config the user's configuration,
+ *                             extra the Stremio request extras), resolving to subtitle objects
+ *                             { id, provider, download_url, lang, title, downloads, rating }
+ *   download(subtitle)      - resolve to the content of a subtitle returned by search()
+ *   getQuota()              - { remaining, limit, resetAt } for providers that limit downloads, otherwise null
+ * SUBTITLE_PROVIDERS sets which providers are searched (default: local,opensubtitles,subdl,addons)
+ */
+
+const { createOpenSubtitlesProvider } = require('./opensubtitles');
+const { createSubDLProvider } = require('./subdl');
+const { createLocalProvider } = require('./local');
+const { createAddonsProvider } = require('./addons');
+
+// Factories for every known provider
+const providerFactories = {
+  opensubtitles: createOpenSubtitlesProvider,
+  subdl: createSubDLProvider,
+  local: createLocalProvider,
+  addons: createAddonsProvider
+};
+
+// Provider instances, created on first use
+const providerInstances = {};
+
+// Time a provider gets to answer a search before its results are left out
+const DEFAULT_SEARCH_TIMEOUT = 10000;
+
+/**
+ * Get the names of all known providers
+ * @returns {Array<string>} - Provider names
+ */
+function getProviderNames() {
+  return Object.keys(providerFactories);
+}
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Subtitle provider
+ */
+function getProvider(name) {
+  const key = name.toLowerCase();
+  const factory = providerFactories[key];
+
+  if (!factory) {
+    throw new Error(`Unknown subtitle provider: ${name}`);
+  }
+
+  if (!providerInstances[key]) {
+    providerInstances[key] = factory();
+  }
+
+  return providerInstances[key];
+}
+
+/**
+ * Get the providers to search, in order of preference
+ * Providers that are not configured are left out
+ * @param {Array<string>|string} names - Provider names (defaults to SUBTITLE_PROVIDERS)
+ * @returns {Array<Object>} - Subtitle providers
+ */
+function getEnabledProviders(names = process.env.SUBTITLE_PROVIDERS || 'local,opensubtitles,subdl,addons') {
+  const list = Array.isArray(names) ? names : names.split(',');
+
+  return list
+    .map(name => name.trim())
+    .filter((name, index, all) => name && all.indexOf(name) === index)
+    .map(name => getProvider(name))
+    .filter(provider => provider.isConfigured());
+}
+
+/**
+ * Get the search timeout of a provider
+ * Set globally with SUBTITLE_SEARCH_TIMEOUT_MS or per provider (e.g. SUBDL_SEARCH_TIMEOUT_MS)
+ * @param {Object} provider - Subtitle provider
+ * @returns {number} - Timeout in milliseconds
+ */
+function getSearchTimeout(provider) {
+  const specific = parseInt(process.env[`${provider.name.toUpperCase()}_SEARCH_TIMEOUT_MS`], 10);
+  const global = parseInt(process.env.SUBTITLE_SEARCH_TIMEOUT_MS, 10);
+
+  return specific > 0 ? specific : global > 0 ? global : DEFAULT_SEARCH_TIMEOUT;
+}
+
+/**
+ * Check whether a provider can still download subtitles
+ * @param {string} name - Provider name
+ * @returns {boolean} - False if the provider's download quota is used up
+ */
+function hasDownloadsLeft(name) {
+  const quota = getProvider(name).getQuota();
+  return !quota || quota.remaining > 0;
+}
+
+/**
+ * Describe all providers for status and debug output
+ * @returns {Array<Object>} - { name, configured, enabled, searchTimeout, capabilities, quota }
+ */
+function describeProviders() {
+  const enabled = getEnabledProviders().map(provider => provider.name);
+
+  return getProviderNames().map(name => {
+    const provider = getProvider(name);
+
+    return {
+      name: provider.name,
+      configured: provider.isConfigured(),
+      enabled: enabled.includes(provider.name),
+      searchTimeout: getSearchTimeout(provider),
+      capabilities: provider.capabilities,
+      quota: provider.getQuota()
+    };
+  });
+}
+
+module.exports = {
+  getProviderNames,
+  getProvider,
+  getEnabledProviders,
+  getSearchTimeout,
+  hasDownloadsLeft,
+  describeProviders
+};
@@ -0,0 +1,377 @@
+/**
+ * local.js - Subtitle provider for a local folder (e.g. a NAS share)
+ * Files are matched to media by the IMDb ID in their name or in a parent folder's name
+ * (e.g. "Movie (1994) [tt0111161]/Movie.en.srt"), or else by the title and year of a
+ * release name (e.g. "The.Movie.1994.1080p.BluRay.en.srt", "Show/Season 1/Show.S01E02.srt").
+ * The folder is indexed on first use and re-indexed when it changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const subtitleFormats = require('../subtitle-formats');
+const { convertLanguageCode } = require('../utils');
+
+// Subtitle formats we index, every format lib/subtitle-formats reads
+const SUBTITLE_EXTENSIONS = subtitleFormats.getExtensions();
+
+// Changes are picked up this long after the last file system event
+const REINDEX_DELAY = 2000;
+
+// Network shares often don't report changes, so the folder is also re-indexed periodically
+const DEFAULT_RESCAN_MINUTES = 10;
+
+// Titles for release-name matching come from Stremio's metadata add-on
+const CINEMETA_URL = 'https://v3-cinemeta.strem.io/meta';
+
+// Words that end the title part of a release name
+const RELEASE_TAGS = /^(?:2160p|1080p|720p|576p|480p|4k|uhd|bluray|bdrip|brrip|web|webrip|web-dl|webdl|hdtv|dvdrip|hdrip|x264|x265|h264|h265|hevc|remux|proper|repack|extended|unrated)$/i;
+
+/**
+ * Reduce a title to lower-case words, so release names and catalog titles compare equal
+ * @param {string} title - Title or release name part
+ * @returns {string} - Normalized title
+ */
+function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Recognise a language code or name (e.g. 'en', 'eng', 'English')
+ * @param {string} token - Part of a file or folder name
+ * @returns {string|null} - ISO 639-1 code, or null if the token isn't a language
+ */
+function parseLanguage(token) {
+  const code = convertLanguageCode(token || '');
+  return code.length === 2 && convertLanguageCode(code, 'name') !== code ? code : null;
+}
+
+/**
+ * Split a release name into title, year, season and episode
+ * @param {string} name - File or folder name without extension
+ * @returns {Object} - { title, year, season, episode }
+ */
+function parseReleaseName(name) {
+  const info = { title: null, year: null, season: null, episode: null };
+  let titleEnd = name.length;
+
+  const episodeMatch = name.match(/\bs(\d{1,2})[ ._-]?e(\d{1,3})\b/i) || name.match(/\b(\d{1,2})x(\d{2,3})\b/);
+  if (episodeMatch) {
+    info.season = parseInt(episodeMatch[1], 10);
+    info.episode = parseInt(episodeMatch[2], 10);
+    titleEnd = episodeMatch.index;
+  } else {
+    const episodeOnly = name.match(/\b(?:e|ep|episode)[ ._-]?(\d{1,3})\b/i);
+    if (episodeOnly) {
+      info.episode = parseInt(episodeOnly[1], 10);
+      titleEnd = episodeOnly.index;
+    }
+  }
+
+  const yearMatch = name.match(/[([ ._-]((?:19|20)\d{2})(?=[)\] ._-]|$)/);
+  if (yearMatch) {
+    info.year = parseInt(yearMatch[1], 10);
+    titleEnd = Math.min(titleEnd, yearMatch.index);
+  }
+
+  const words = name.slice(0, titleEnd).split(/[ ._-]+/);
+  const tagIndex = words.findIndex(word => RELEASE_TAGS.test(word));
+  info.title = normalizeTitle((tagIndex >= 0 ? words.slice(0, tagIndex) : words).join(' ')
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, '')) || null;
+
+  return info;
+}
+
+/**
+ * Check whether a .sub file is the picture part of a VobSub pair, which isn't text
+ * @param {string} fileName - File name
+ * @param {Array<Object>} dirents - Entries of the file's folder
+ * @returns {boolean} - True for VobSub pictures
+ */
+function isVobSub(fileName, dirents) {
+  if (path.extname(fileName).toLowerCase() !== '.sub') return false;
+
+  const idxName = `${path.basename(fileName, path.extname(fileName))}.idx`.toLowerCase();
+  return dirents.some(dirent => dirent.name.toLowerCase() === idxName);
+}
+
+/**
+ * Describe a subtitle file from its name and the names of the folders it is in
+ * Whatever the file name leaves open (IMDb ID, title, season) is taken from the nearest folder
+ * @param {string} relativePath - Path relative to the indexed folder
+ * @param {string} defaultLang - Language of files that don't name one
+ * @returns {Object} - Index entry
+ */
+function describeFile(relativePath, defaultLang) {
+  const extension = path.extname(relativePath).toLowerCase();
+  const parts = relativePath.split(path.sep);
+  const fileName = path.basename(parts.pop(), path.extname(relativePath));
+
+  // The language is the last part of the file name (Movie.en.srt) or a folder (en/Movie.srt)
+  const nameParts = fileName.split(/[._]/);
+  let lang = nameParts.length > 1 ? parseLanguage(nameParts[nameParts.length - 1]) : null;
+  const baseName = lang ? nameParts.slice(0, -1).join('.') : fileName;
+
+  const entry = {
+    path: relativePath,
+    format: subtitleFormats.getFormatForExtension(extension),
+    imdbId: null,
+    ...parseReleaseName(baseName)
+  };
+
+  parts.reverse().forEach((folder, depth) => {
+    const imdbMatch = folder.match(/tt\d{7,}/);
+    const seasonMatch = folder.match(/^(?:season|series|staffel|saison|temporada)[ ._-]*(\d{1,2})$|^s(\d{1,2})$/i);
+    const folderLang = depth === 0 ? parseLanguage(folder) : null;
+
+    if (!entry.imdbId && imdbMatch) {
+      entry.imdbId = imdbMatch[0];
+    }
+
+    if (seasonMatch) {
+      entry.season = entry.season || parseInt(seasonMatch[1] || seasonMatch[2], 10);
+    } else if (!lang && folderLang) {
+      lang = folderLang;
+    } else {
+      const folderInfo = parseReleaseName(folder);
+      entry.title = entry.title || folderInfo.title;
+      entry.year = entry.year || folderInfo.year;
+    }
+  });
+
+  const imdbInName = fileName.match(/tt\d{7,}/);
+  if (imdbInName) {
+    entry.imdbId = imdbInName[0];
+  }
+
+  entry.lang = lang || defaultLang;
+  return entry;
+}
+
+/**
+ * Create a local folder provider
+ * @param {Object} settings - Provider settings (defaults come from the environment)
+ * @param {string} settings.dir - Folder to index (LOCAL_SUBTITLES_DIR)
+ * @param {string} settings.defaultLang - Language of files that don't name one (LOCAL_SUBTITLES_LANG, default 'en')
+ * @param {number} settings.rescanMinutes - Re-index interval (LOCAL_SUBTITLES_RESCAN_MINUTES, default 10, 0 to disable)
+ * @returns {Object} - Subtitle provider
+ */
+function createLocalProvider(settings = {}) {
+  const dir = settings.dir || process.env.LOCAL_SUBTITLES_DIR;
+  const root = dir ? path.resolve(dir) : null;
+  const defaultLang = settings.defaultLang || process.env.LOCAL_SUBTITLES_LANG || 'en';
+  const rescanSetting = settings.rescanMinutes !== undefined ? settings.rescanMinutes : parseInt(process.env.LOCAL_SUBTITLES_RESCAN_MINUTES, 10);
+  const rescanMinutes = Number.isNaN(rescanSetting) ? DEFAULT_RESCAN_MINUTES : rescanSetting;
+
+  let entries = null;
+  let indexing = null;
+  let reindexTimer = null;
+  let watching = false;
+
+  // Catalog titles by IMDb ID, for release-name matching
+  const titles = new Map();
+
+  /**
+   * Walk the folder and describe every subtitle file in it
+   * @returns {Promise<Array<Object>>} - Index entries
+   */
+  async function buildIndex() {
+    const found = [];
+    const pending = [root];
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+      let dirents;
+
+      try {
+        dirents = await fs.promises.readdir(current, { withFileTypes: true });
+      } catch (error) {
+        console.error(`Error reading local subtitle folder ${current}: ${error.message}`);
+        continue;
+      }
+
+      for (const dirent of dirents) {
+        const fullPath = path.join(current, dirent.name);
+
+        if (dirent.isDirectory()) {
+          pending.push(fullPath);
+        } else if (SUBTITLE_EXTENSIONS.includes(path.extname(dirent.name).toLowerCase()) && !isVobSub(dirent.name, dirents)) {
+          found.push(describeFile(path.relative(root, fullPath), defaultLang));
+        }
+      }
+    }
+
+    console.log(`Indexed ${found.length} local subtitle files in ${root}`);
+    return found;
+  }
+
+  function reindex() {
+    const run = buildIndex()
+      .then(result => {
+        entries = result;
+        return entries;
+      })
+      .finally(() => {
+        if (indexing === run) indexing = null;
+      });
+
+    indexing = run;
+    return run;
+  }
+
+  // Re-index once file system events have settled
+  function scheduleReindex() {
+    clearTimeout(reindexTimer);
+    reindexTimer = setTimeout(() => reindex().catch(error => {
+      console.error(`Error indexing local subtitles: ${error.message}`);
+    }), REINDEX_DELAY);
+    reindexTimer.unref();
+  }
+
+  function startWatching() {
+    if (watching) return;
+    watching = true;
+
+    try {
+      const watcher = fs.watch(root, { recursive: true }, () => scheduleReindex());
+      watcher.on('error', error => console.error(`Error watching local subtitle folder: ${error.message}`));
+      watcher.unref();
+    } catch (error) {
+      console.error(`Could not watch local subtitle folder ${root}: ${error.message}`);
+    }
+
+    if (rescanMinutes > 0) {
+      setInterval(scheduleReindex, rescanMinutes * 60 * 1000).unref();
+    }
+  }
+
+  /**
+   * Get the index, building it on first use
+   * @returns {Promise<Array<Object>>} - Index entries
+   */
+  async function getIndex() {
+    if (!entries && !indexing) {
+      startWatching();
+      reindex();
+    }
+
+    return indexing || entries;
+  }
+
+  /**
+   * Look up the catalog title and year of a movie or series
+   * @param {string} imdbId - IMDb ID
+   * @param {boolean} isSeries - Whether the ID is a series
+   * @returns {Promise<Object|null>} - { title, year }, or null if unknown
+   */
+  async function getCatalogTitle(imdbId, isSeries) {
+    if (!titles.has(imdbId)) {
+      try {
+        const response = await axios.get(`${CINEMETA_URL}/${isSeries ? 'series' : 'movie'}/${imdbId}.json`, { timeout: 5000 });
+        const meta = response.data && response.data.meta;
+        titles.set(imdbId, meta && meta.name ? {
+          title: normalizeTitle(meta.name),
+          year: parseInt(meta.year || meta.releaseInfo, 10) || null
+        } : null);
+      } catch (error) {
+        console.error(`Error looking up the title of ${imdbId}: ${error.message}`);
+        return null;
+      }
+    }
+
+    return titles.get(imdbId);
+  }
+
+  return {
+    name: 'local',
+    capabilities: {
+      idTypes: ['imdb'],
+      episodes: true,
+      languages: null, // Whatever the folder holds
+      downloadQuota: false,
+      cacheResults: false,
+      cacheDownloads: false // Files are read fresh, so edits and replacements show up
+    },
+
+    isConfigured() {
+      return !!root;
+    },
+
+    /**
+     * Search the folder for subtitles
+     * @param {Object} query - { type, mediaId, media } with media as resolved by id-mapping.resolveMediaId
+     * @returns {Promise<Array<Object>>} - Subtitle objects
+     */
+    async search(query) {
+      const { media } = query;
+
+      if (!media || !media.imdbId) {
+        return [];
+      }
+
+      const index = (await getIndex()) || [];
+
+      const matchesEpisode = entry => (media.isEpisode
+        ? entry.episode === media.episode && (entry.season || 1) === media.season
+        : entry.episode === null);
+
+      let matches = index.filter(entry => entry.imdbId === media.imdbId && matchesEpisode(entry));
+
+      // Files named only by release are matched by title and year
+      const unidentified = index.filter(entry => !entry.imdbId && entry.title && matchesEpisode(entry));
+      if (unidentified.length > 0) {
+        const catalog = await getCatalogTitle(media.imdbId, media.isEpisode);
+
+        if (catalog) {
+          matches = matches.concat(unidentified.filter(entry => entry.title === catalog.title
+            && (!entry.year || !catalog.year || Math.abs(entry.year - catalog.year) <= 1)));
+        }
+      }
+
+      return matches.map(entry => ({
+        id: `local:${entry.path}`,
+        provider: 'local',
+        download_url: entry.path,
+        lang: entry.lang,
+        title: path.basename(entry.path),
+        downloads: 0,
+        rating: 10, // Our own files are preferred over downloads, which may count against a quota
+        trusted: true,
+        format: entry.format
+      }));
+    },
+
+    /**
+     * Read a subtitle file found by search()
+     * Files that aren't UTF-8 are decoded with their language's code page
+     * @param {Object} subtitle - Subtitle object
+     * @returns {Promise<string>} - Subtitle content, in any format lib/subtitle-formats reads
+     */
+    async download(subtitle) {
+      const filePath = path.resolve(root, subtitle.download_url);
+
+      if (!filePath.startsWith(root + path.sep)) {
+        throw new Error(`Subtitle path outside the local folder: ${subtitle.download_url}`);
+      }
+
+      return subtitleFormats.decodeContent(await fs.promises.readFile(filePath), subtitle.lang);
+    },
+
+    /**
+     * Local files don't count against any quota
+     * @returns {null}
+     */
+    getQuota() {
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  createLocalProvider
+};
@@ -0,0 +1,166 @@
+/**
+ * opensubtitles.js - OpenSubtitles.com subtitle provider
+ */
+
+const axios = require('axios');
+
+const API_URL = 'https://api.opensubtitles.com/api/v1';
+
+// Longest the download link request and the download itself may take
+const DOWNLOAD_TIMEOUT = 30000;
+
+// Uploader ranks whose subtitles are checked by the site
+const TRUSTED_RANKS = ['administrator', 'admin', 'trusted', 'translator'];
+
+/**
+ * Create an OpenSubtitles provider
+ * @param {Object} settings - Provider settings (defaults come from the environment)
+ * @param {string} settings.apiKey - OpenSubtitles API key (OPENSUBTITLES_API_KEY)
+ * @returns {Object} - Subtitle provider
+ */
+function createOpenSubtitlesProvider(settings = {}) {
+  const apiKey = settings.apiKey || process.env.OPENSUBTITLES_API_KEY;
+
+  // Download quota as last reported by the API, { remaining, limit, resetAt }
+  let quota = null;
+
+  const headers = () => ({
+    'Api-Key': apiKey,
+    'Content-Type': 'application/json'
+  });
+
+  return {
+    name: 'opensubtitles',
+    capabilities: {
+      idTypes: ['imdb', 'tmdb'],
+      episodes: true,
+      languages: null, // Every language OpenSubtitles has
+      downloadQuota: true,
+      cacheResults: true,
+      cacheDownloads: true
+    },
+
+    isConfigured() {
+      return !!apiKey;
+    },
+
+    /**
+     * Search for subtitles
+     * Episodes are searched by the series' ID plus season and episode number
+     * @param {Object} query - { type, mediaId, media, extra } with media as resolved by id-mapping.resolveMediaId
+     * @param {Object} options - Search options
+     * @param {number} options.timeout - Request timeout in milliseconds
+     * @returns {Promise<Array<Object>>} - Subtitle objects
+     */
+    async search(query, options = {}) {
+      const { media } = query;
+
+      if (!media || (!media.imdbId && !media.tmdbId)) {
+        return [];
+      }
+
+      const params = { type: media.isEpisode ? 'episode' : 'movie' };
+
+      if (media.imdbId) {
+        // OpenSubtitles expects IMDb IDs as numbers, without 'tt' and leading zeros
+        const imdbNumber = String(parseInt(media.imdbId.replace('tt', ''), 10));
+        params[media.isEpisode ? 'parent_imdb_id' : 'imdb_id'] = imdbNumber;
+      } else {
+        params[media.isEpisode ? 'parent_tmdb_id' : 'tmdb_id'] = media.tmdbId;
+      }
+
+      if (media.season !== null) {
+        params.season_number = media.season;
+      }
+
+      if (media.episode !== null) {
+        params.episode_number = media.episode;
+      }
+
+      // With the hash of the video being played, results made for that exact file are flagged
+      if (query.extra && query.extra.videoHash) {
+        params.moviehash = query.extra.videoHash;
+      }
+
+      const response = await axios.get(`${API_URL}/subtitles`, {
+        params,
+        headers: headers(),
+        timeout: options.timeout
+      });
+
+      if (!response.data || !Array.isArray(response.data.data)) {
+        return [];
+      }
+
+      return response.data.data
+        .filter(item => item.attributes && item.attributes.files && item.attributes.files.length > 0)
+        .map(item => {
+          const attributes = item.attributes;
+          const fileId = attributes.files[0].file_id;
+          const uploaderRank = attributes.uploader && attributes.uploader.rank ? attributes.uploader.rank.toLowerCase() : '';
+
+          return {
+            id: `opensubtitles:${fileId}`,
+            provider: 'opensubtitles',
+            download_url: fileId, // File ID, exchanged for a link when downloading
+            lang: attributes.language,
+            title: attributes.release || attributes.files[0].file_name,
+            downloads: attributes.download_count || 0,
+            // ratings is already the 0-10 average of the votes
+            rating: Math.min(Math.max(Number(attributes.ratings) || 0, 0), 10),
+            hashMatch: !!attributes.moviehash_match,
+            hearingImpaired: !!attributes.hearing_impaired,
+            trusted: !!attributes.from_trusted || TRUSTED_RANKS.includes(uploaderRank),
+            fps: attributes.fps > 0 ? attributes.fps : null
+          };
+        });
+    },
+
+    /**
+     * Download a subtitle found by search()
+     * Each download counts against the account's daily quota
+     * @param {Object} subtitle - Subtitle object
+     * @returns {Promise<string>} - Subtitle content
+     */
+    async download(subtitle) {
+      const quotaLeft = this.getQuota();
+      if (quotaLeft && quotaLeft.remaining <= 0) {
+        throw new Error(`OpenSubtitles download quota used up until ${quotaLeft.resetAt || 'the daily reset'}`);
+      }
+
+      const response = await axios.post(`${API_URL}/download`, { file_id: subtitle.download_url }, {
+        headers: headers(),
+        timeout: DOWNLOAD_TIMEOUT
+      });
+      const { link, remaining, requests, reset_time_utc: resetAt } = response.data;
+
+      if (typeof remaining === 'number') {
+        quota = {
+          remaining,
+          limit: typeof requests === 'number' ? requests + remaining : null,
+          resetAt: resetAt || null
+        };
+      }
+
+      const subtitleResponse = await axios.get(link, { responseType: 'text', timeout: DOWNLOAD_TIMEOUT });
+      return subtitleResponse.data;
+    },
+
+    /**
+     * Get the download quota as last reported by the API
+     * @returns {Object|null} - { remaining, limit, resetAt }, or null before the first download
+     */
+    getQuota() {
+      // The quota is reset daily; forget it once the reset time has passed
+      if (quota && quota.resetAt && Date.parse(quota.resetAt) <= Date.now()) {
+        quota = null;
+      }
+
+      return quota;
+    }
+  };
+}
+
+module.exports = {
+  createOpenSubtitlesProvider
+};
@@ -0,0 +1,172 @@
+/**
+ * subdl.js - SubDL subtitle provider (https://subdl.com)
+ * Searches by IMDb or TMDB ID; subtitles are downloaded as zip archives
+ */
+
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+const subtitleFormats = require('../subtitle-formats');
+
+const API_URL = 'https://api.subdl.com/api/v1/subtitles';
+const DOWNLOAD_URL = 'https://dl.subdl.com';
+
+// Results per search, the API's maximum
+const SUBS_PER_PAGE = 30;
+
+// SubDL codes that don't reduce to an ISO 639-1 code by lower-casing
+const LANGUAGE_CODES = {
+  'BR_PT': 'pt',
+  'ZH_BG': 'zh'
+};
+
+// Archives are small, but the download server can stall
+const DOWNLOAD_TIMEOUT = 30000;
+
+// Subtitle formats we can read out of an archive
+const SUBTITLE_EXTENSIONS = subtitleFormats.getExtensions();
+
+/**
+ * Convert a SubDL language code to an ISO 639-1 code
+ * @param {string} code - SubDL language code (e.g. 'EN', 'BR_PT')
+ * @returns {string} - ISO 639-1 code
+ */
+function toLanguageCode(code) {
+  const upper = (code || '').toUpperCase();
+  return LANGUAGE_CODES[upper] || upper.split('_')[0].toLowerCase();
+}
+
+/**
+ * Pick the subtitle file to use out of a downloaded archive
+ * Season packs hold one file per episode, so the episode's file is preferred
+ * @param {Array<Object>} entries - Zip entries
+ * @param {Object} subtitle - Subtitle object with the searched season and episode
+ * @returns {Object|null} - Zip entry
+ */
+function pickArchiveEntry(entries, subtitle) {
+  const files = entries.filter(entry => !entry.isDirectory
+    && SUBTITLE_EXTENSIONS.some(extension => entry.entryName.toLowerCase().endsWith(extension)));
+
+  if (files.length > 1 && subtitle.episode) {
+    const pattern = new RegExp(`(?:s0*${subtitle.season || 1}[ ._-]?e|\\b${subtitle.season || 1}x|\\be|ep)0*${subtitle.episode}(?!\\d)`, 'i');
+    const match = files.find(entry => pattern.test(entry.entryName));
+    if (match) return match;
+  }
+
+  return files[0] || null;
+}
+
+/**
+ * Create a SubDL provider
+ * @param {Object} settings - Provider settings (defaults come from the environment)
+ * @param {string} settings.apiKey - SubDL API key (SUBDL_API_KEY)
+ * @returns {Object} - Subtitle provider
+ */
+function createSubDLProvider(settings = {}) {
+  const apiKey = settings.apiKey || process.env.SUBDL_API_KEY;
+
+  return {
+    name: 'subdl',
+    capabilities: {
+      idTypes: ['imdb', 'tmdb'],
+      episodes: true,
+      languages: null, // Every language SubDL has
+      downloadQuota: false,
+      cacheResults: true,
+      cacheDownloads: true
+    },
+
+    isConfigured() {
+      return !!apiKey;
+    },
+
+    /**
+     * Search for subtitles
+     * @param {Object} query - { type, mediaId, media } with media as resolved by id-mapping.resolveMediaId
+     * @param {Object} options - Search options
+     * @param {number} options.timeout - Request timeout in milliseconds
+     * @returns {Promise<Array<Object>>} - Subtitle objects
+     */
+    async search(query, options = {}) {
+      const { media } = query;
+
+      if (!media || (!media.imdbId && !media.tmdbId)) {
+        return [];
+      }
+
+      const params = {
+        api_key: apiKey,
+        type: media.isEpisode ? 'tv' : 'movie',
+        subs_per_page: SUBS_PER_PAGE
+      };
+
+      if (media.imdbId) {
+        params.imdb_id = media.imdbId;
+      } else {
+        params.tmdb_id = media.tmdbId;
+      }
+
+      if (media.season !== null) {
+        params.season_number = media.season;
+      }
+
+      if (media.episode !== null) {
+        params.episode_number = media.episode;
+      }
+
+      const response = await axios.get(API_URL, { params, timeout: options.timeout });
+
+      // Unknown titles come back as { status: false, error }
+      if (!response.data || !response.data.status || !Array.isArray(response.data.subtitles)) {
+        return [];
+      }
+
+      return response.data.subtitles
+        .filter(item => item.url)
+        .map(item => ({
+          id: `subdl:${item.url.replace(/^.*\//, '').replace(/\.zip$/, '')}`,
+          provider: 'subdl',
+          download_url: item.url,
+          lang: toLanguageCode(item.language),
+          title: item.release_name || item.name,
+          downloads: 0, // Not reported by the API
+          rating: 0,
+          hearingImpaired: !!item.hi,
+          season: media.season,
+          episode: media.episode
+        }));
+    },
+
+    /**
+     * Download a subtitle found by search()
+     * Archived files keep the encoding they were uploaded in, so ones that aren't UTF-8
+     * are decoded with their language's code page
+     * @param {Object} subtitle - Subtitle object
+     * @returns {Promise<string>} - Subtitle content
+     */
+    async download(subtitle) {
+      const response = await axios.get(`${DOWNLOAD_URL}${subtitle.download_url}`, {
+        responseType: 'arraybuffer',
+        timeout: DOWNLOAD_TIMEOUT
+      });
+      const entry = pickArchiveEntry(new AdmZip(Buffer.from(response.data)).getEntries(), subtitle);
+
+      if (!entry) {
+        throw new Error(`No subtitle file in SubDL archive ${subtitle.download_url}`);
+      }
+
+      return subtitleFormats.decodeContent(entry.getData(), subtitle.lang);
+    },
+
+    /**
+     * SubDL doesn't limit downloads per account
+     * @returns {null}
+     */
+    getQuota() {
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  createSubDLProvider
+};
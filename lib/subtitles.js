@@ -4,6 +4,10 @@ const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 const crypto = require('crypto');
+const { createDiskCache } = require('./disk-cache');
+const idMapping = require('./id-mapping');
+const subtitleProviders = require('./subtitle-providers');
+const subtitleFormats = require('./subtitle-formats');
 
 // Promisify fs functions
 const writeFile = promisify(fs.writeFile);
@@ -14,8 +18,12 @@ const fileExists = promisify(fs.exists);
 // Create a cache for subtitles
 const subtitleCache = new NodeCache({ stdTTL: 86400 }); // Cache for 24 hours
 
-// Create a cache for translations
-const translationCache = new NodeCache({ stdTTL: 86400 }); // Cache for 24 hours
+// Downloaded subtitle files persist across restarts under cache/downloads
+const downloadCache = createDiskCache('downloads');
+
+// Providers apply their search timeout to their own requests; a search still running
+// this long after its timeout is given up on
+const SEARCH_TIMEOUT_GRACE = 1000;
 
 // Ensure cache directory exists
 const CACHE_DIR = path.join(__dirname, '../cache');
@@ -33,107 +41,140 @@ async function ensureCacheDir() {
 }
 
 /**
- * Find subtitles for a specific content
- * @param {string} type - Type of content (movie, series, anime)
- * @param {string} mediaId - IMDb ID or Kitsu ID
- * @returns {Array} - Array of subtitle objects
+ * Search one provider, giving up after its search timeout
+ * A slow or failing provider yields no results instead of holding up the others
+ * @param {Object} provider - Subtitle provider
+ * @param {Object} query - { type, mediaId, media, config, extra }
+ * @returns {Promise<Array>} - Array of subtitle objects
  */
-async function findSubtitles(type, mediaId) {
-  // Check cache first
-  const cacheKey = `subtitles-${type}-${mediaId}`;
-  const cachedSubtitles = subtitleCache.get(cacheKey);
+async function searchProvider(provider, query) {
+  // Remote results are cached; local folders are cheap to search and change without notice.
+  // Hash matches depend on the file being played, so its hash is part of the key
+  const cacheKey = `subtitles-${provider.name}-${query.type}-${query.mediaId}-${query.extra.videoHash || ''}`;
+  const cachedSubtitles = provider.capabilities.cacheResults ? subtitleCache.get(cacheKey) : undefined;
   
   if (cachedSubtitles) {
-    console.log(`Using cached subtitles for ${mediaId}`);
+    console.log(`Using cached ${provider.name} subtitles for ${query.mediaId}`);
     return cachedSubtitles;
   }
   
-  // We'll search for subtitles from multiple sources and combine the results
-  let subtitles = [];
+  const timeout = subtitleProviders.getSearchTimeout(provider);
+  let timer;
   
-  // 1. OpenSubtitles
   try {
-    console.log(`Searching OpenSubtitles for ${mediaId}`);
-    const osSubtitles = await searchOpenSubtitles(type, mediaId);
-    subtitles = [...subtitles, ...osSubtitles];
+    console.log(`Searching ${provider.name} for ${query.mediaId}`);
+    
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${timeout}ms`)), timeout + SEARCH_TIMEOUT_GRACE);
+    });
+    
+    const results = await Promise.race([provider.search(query, { timeout }), timedOut]);
+    console.log(`Found ${results.length} subtitles on ${provider.name}`);
+    
+    if (provider.capabilities.cacheResults && results.length > 0) {
+      subtitleCache.set(cacheKey, results);
+    }
+    
+    return results;
   } catch (error) {
-    console.error(`OpenSubtitles search failed: ${error.message}`);
-  }
-  
-  // 2. Other subtitle sources could be added here
-  // For example, you could add Subscene or other providers
-  
-  // Cache the results
-  if (subtitles.length > 0) {
-    subtitleCache.set(cacheKey, subtitles);
+    console.error(`${provider.name} search failed: ${error.message}`);
+    return [];
+  } finally {
+    clearTimeout(timer);
   }
-  
-  return subtitles;
 }
 
 /**
- * Get the best subtitle to translate from
- * @param {Array} subtitles - Array of subtitle objects
- * @param {string} preferredSourceLang - Preferred source language (default: 'en')
- * @returns {Object} - Best subtitle object
+ * Reduce a release or file name to lower-case letters and digits, without the file extension
+ * @param {string} name - Release name or file name
+ * @returns {string} - Normalized name
  */
-function getBestSubtitle(subtitles, preferredSourceLang = 'en') {
-  if (!subtitles || subtitles.length === 0) {
-    return null;
-  }
-  
-  // First, try to find a subtitle in the preferred source language
-  const preferredLangSubs = subtitles.filter(sub => 
-    sub.lang === preferredSourceLang && !sub.pending
-  );
-  
-  if (preferredLangSubs.length > 0) {
-    // Sort by rating (highest first)
-    preferredLangSubs.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-    return preferredLangSubs[0];
-  }
-  
-  // If no preferred language subtitles, get the highest rated subtitle
-  const sortedSubs = [...subtitles]
-    .filter(sub => !sub.pending)
-    .sort((a, b) => (b.rating || 0) - (a.rating || 0));
+function normalizeReleaseName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/\.(srt|vtt|ass|ssa|sub|mkv|mp4|avi|m4v|mov|webm|ts)$/, '')
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Merge the results of several providers, dropping duplicates
+ * The same release is often listed by more than one provider; the listing of the provider
+ * listed first in SUBTITLE_PROVIDERS is kept, with the highest download count and rating of all listings
+ * @param {Array<Array>} resultLists - Subtitle objects of each provider, in provider order
+ * @returns {Array} - Merged array of subtitle objects
+ */
+function mergeSubtitles(resultLists) {
+  const merged = new Map();
+  
+  resultLists.forEach(results => {
+    results.forEach(subtitle => {
+      // Releases are compared by name, ignoring case, punctuation and the file extension
+      const release = normalizeReleaseName(subtitle.title);
+      const key = release ? `${subtitle.lang}|${release}` : subtitle.id;
+      const existing = merged.get(key);
+      
+      if (!existing) {
+        merged.set(key, subtitle);
+      } else if (existing.provider === subtitle.provider) {
+        // Different uploads of one release on the same provider are kept apart
+        merged.set(subtitle.id, subtitle);
+      } else {
+        merged.set(key, {
+          ...existing,
+          downloads: Math.max(existing.downloads || 0, subtitle.downloads || 0),
+          rating: Math.max(existing.rating || 0, subtitle.rating || 0),
+          hashMatch: !!(existing.hashMatch || subtitle.hashMatch),
+          trusted: !!(existing.trusted || subtitle.trusted),
+          alsoOn: [...(existing.alsoOn || []), subtitle.provider]
+        });
+      }
+    });
+  });
   
-  return sortedSubs.length > 0 ? sortedSubs[0] : null;
+  return [...merged.values()];
 }
 
 /**
- * Find the best subtitle for translation based on user's target language
- * @param {Array} subtitles - Array of subtitle objects
- * @param {string} targetLang - Target language for translation
- * @returns {Object} - Best subtitle object for translation
+ * Find subtitles for a specific content
+ * Every enabled subtitle provider is searched in parallel and the results are merged
+ * @param {string} type - Type of content (movie, series, anime)
+ * @param {string} mediaId - Stremio media ID, e.g. tt1234567, tt1234567:1:5 or kitsu:1376:3
+ * @param {Object} options - Search options
+ * @param {Object} options.config - User configuration (see lib/config.js), e.g. the add-ons to search
+ * @param {Object} options.extra - Extras of the Stremio request (see utils.parseStremioExtra)
+ * @returns {Array} - Array of subtitle objects
  */
-function findBestSubtitleForTranslation(subtitles, targetLang) {
-  if (!subtitles || subtitles.length === 0) {
-    return null;
+async function findSubtitles(type, mediaId, options = {}) {
+  const providers = subtitleProviders.getEnabledProviders();
+  if (providers.length === 0) {
+    console.warn('No subtitle providers are configured');
+    return [];
   }
   
-  // Skip subtitles that are already in the target language
-  const filteredSubs = subtitles.filter(sub => 
-    sub.lang !== targetLang && 
-    (typeof sub.id !== 'string' || !sub.id.includes('_translate_')) // Check if id is a string before using includes
-  );
-  
-  if (filteredSubs.length === 0) {
-    return null;
+  // Anime and TMDB IDs are mapped to IMDb/TMDB IDs with season and episode
+  const media = await idMapping.resolveMediaId(mediaId);
+  if (!media) {
+    console.log(`Could not resolve media ID ${mediaId} for subtitle search`);
   }
   
-  // Prioritize English subtitles as source
-  const englishSubs = filteredSubs.filter(sub => sub.lang === 'en');
+  const query = { type, mediaId, media, config: options.config, extra: options.extra || {} };
+  const resultLists = await Promise.all(providers.map(provider => searchProvider(provider, query)));
+  const subtitles = mergeSubtitles(resultLists);
+  
+  // Subtitles made for a release of the same name as the video are likely timed for it
+  const filename = normalizeReleaseName(query.extra.filename);
+  if (filename) {
+    subtitles.forEach(subtitle => {
+      subtitle.filenameMatch = normalizeReleaseName(subtitle.title) === filename;
+    });
+  }
   
-  if (englishSubs.length > 0) {
-    // Sort by rating (highest first)
-    englishSubs.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-    return englishSubs[0];
+  const hashMatches = subtitles.filter(subtitle => subtitle.hashMatch).length;
+  if (hashMatches > 0) {
+    console.log(`${hashMatches} subtitles for ${mediaId} match the video hash`);
   }
   
-  // If no English subtitles, get the highest rated subtitle
-  filteredSubs.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-  return filteredSubs[0];
+  return subtitles;
 }
 
 /**
@@ -185,25 +226,14 @@ async function getSubtitleContent(url) {
     }
     
     // Detect the subtitle format
-    let format = 'unknown';
-    if (content.trim().startsWith('WEBVTT')) {
-      format = 'vtt';
-    } else if (/^\d+\r?\n\d{2}:\d{2}:\d{2},\d{3}\s-->\s\d{2}:\d{2}:\d{2},\d{3}/m.test(content)) {
-      format = 'srt';
-    }
-    
-    console.log(`Detected subtitle format: ${format}`);
-    
-    // If it's SRT but the URL ends with .vtt, convert it to VTT
-    if (format === 'srt' && url.toLowerCase().endsWith('.vtt')) {
-      console.log('Converting SRT to VTT format');
-      return convertSrtToVtt(content);
-    }
-    
-    // If it's VTT but the URL ends with .srt, convert it to SRT
-    if (format === 'vtt' && url.toLowerCase().endsWith('.srt')) {
-      console.log('Converting VTT to SRT format');
-      return convertVttToSrt(content);
+    const format = subtitleFormats.detectFormat(content);
+    console.log(`Detected subtitle format: ${format || 'unknown'}`);
+    
+    // Convert to the format the URL asks for (e.g. SRT served under a .vtt URL)
+    const urlFormat = subtitleFormats.getFormatForExtension(path.extname(url.split('?')[0]));
+    if (format && urlFormat && urlFormat !== format) {
+      console.log(`Converting ${format} to ${urlFormat} format`);
+      return subtitleFormats.convertSubtitle(content, urlFormat);
     }
     
     return content;
@@ -213,94 +243,6 @@ async function getSubtitleContent(url) {
   }
 }
 
-/**
- * Convert SRT format to WebVTT format
- * @param {string} srtContent - SRT content
- * @returns {string} - WebVTT content
- */
-function convertSrtToVtt(srtContent) {
-  // Start with the WEBVTT header
-  let vttContent = 'WEBVTT\n\n';
-  
-  // Split content into blocks (each subtitle entry)
-  const blocks = srtContent.split(/\r?\n\r?\n/);
-  
-  for (const block of blocks) {
-    const lines = block.split(/\r?\n/);
-    if (lines.length < 3) continue;
-    
-    // The first line is the index (keep it as is)
-    const index = lines[0];
-    
-    // The second line contains the timestamps - convert from SRT to VTT format
-    const timeMatch = lines[1].match(/(\d{2}:\d{2}:\d{2}),(\d{3})\s+-->\s+(\d{2}:\d{2}:\d{2}),(\d{3})/);
-    if (!timeMatch) continue;
-    
-    const startTime = `${timeMatch[1]}.${timeMatch[2]}`;
-    const endTime = `${timeMatch[3]}.${timeMatch[4]}`;
-    const timeLine = `${startTime} --> ${endTime}`;
-    
-    // The remaining lines are the text
-    const text = lines.slice(2).join('\n');
-    
-    // Add this block to the VTT content
-    vttContent += `${index}\n${timeLine}\n${text}\n\n`;
-  }
-  
-  return vttContent;
-}
-
-/**
- * Convert WebVTT format to SRT format
- * @param {string} vttContent - WebVTT content
- * @returns {string} - SRT content
- */
-function convertVttToSrt(vttContent) {
-  // Remove the WEBVTT header and any NOTE sections
-  const contentWithoutHeader = vttContent.replace(/^WEBVTT.*?(?:\r?\n\r?\n)/s, '');
-  const cleanedContent = contentWithoutHeader.replace(/NOTE.*?(?:\r?\n\r?\n)/gs, '');
-  
-  // Split content into blocks (each subtitle entry)
-  const blocks = cleanedContent.split(/\r?\n\r?\n/);
-  
-  let srtContent = '';
-  let index = 1;
-  
-  for (const block of blocks) {
-    const lines = block.split(/\r?\n/);
-    if (lines.length < 2) continue;
-    
-    // Find the line with the timestamp
-    let timeLineIndex = 0;
-    let timeLine = lines[timeLineIndex];
-    
-    // If the first line is a cue identifier (could be a number or text), skip it
-    if (!timeLine.includes('-->')) {
-      timeLineIndex++;
-      if (timeLineIndex >= lines.length) continue;
-      timeLine = lines[timeLineIndex];
-    }
-    
-    // Parse the timestamp line and convert from VTT to SRT format
-    const timeMatch = timeLine.match(/(\d{2}:\d{2}:\d{2})\.(\d{3})\s+-->\s+(\d{2}:\d{2}:\d{2})\.(\d{3})/);
-    if (!timeMatch) continue;
-    
-    const startTime = `${timeMatch[1]},${timeMatch[2]}`;
-    const endTime = `${timeMatch[3]},${timeMatch[4]}`;
-    const srtTimeLine = `${startTime} --> ${endTime}`;
-    
-    // The remaining lines are the text
-    const text = lines.slice(timeLineIndex + 1).join('\n');
-    
-    // Add this block to the SRT content
-    srtContent += `${index}\n${srtTimeLine}\n${text}\n\n`;
-    
-    index++;
-  }
-  
-  return srtContent;
-}
-
 /**
  * Save a translated subtitle to disk and return a subtitle object
  * @param {string} mediaId - IMDb ID or Kitsu ID
@@ -320,8 +262,9 @@ async function saveTranslatedSubtitle(mediaId, content, lang, title) {
   const subtitleId = crypto.randomBytes(8).toString('hex');
   
   // Determine the file extension based on content
-  const isVtt = content.trim().startsWith('WEBVTT');
-  const fileExtension = isVtt ? 'vtt' : 'srt';
+  const format = subtitleFormats.detectFormat(content) || 'srt';
+  const extensions = subtitleFormats.getFormat(format).extensions;
+  const fileExtension = (extensions.find(extension => extension === `.${format}`) || extensions[0]).slice(1);
   
   // Create a file path - use a format that's easy to find later
   const fileName = `${mediaId}-${lang}-${subtitleId}.${fileExtension}`;
@@ -504,97 +447,31 @@ function findCachedTranslation(subtitleId, targetLang) {
 }
 
 /**
- * Search for subtitles on OpenSubtitles.org
- * @param {string} type - Type of content (movie, series, anime)
- * @param {string} mediaId - IMDb ID or Kitsu ID
- * @returns {Array} - Array of subtitle objects
- */
-async function searchOpenSubtitles(type, mediaId) {
-  const apiKey = process.env.OPENSUBTITLES_API_KEY;
-  
-  if (!apiKey) {
-    console.warn('OpenSubtitles API key not found in environment variables');
-    return [];
-  }
-  
-  try {
-    // Format the IMDb ID correctly (OpenSubtitles expects it without 'tt' prefix)
-    let imdbId = mediaId;
-    if (mediaId.startsWith('tt')) {
-      imdbId = mediaId.replace('tt', '');
-    }
-    
-    // For Kitsu IDs, we would need to handle them differently or skip
-    if (mediaId.includes('kitsu')) {
-      console.log('Kitsu IDs not supported for OpenSubtitles search');
-      return [];
-    }
-    
-    // Make the API request
-    const response = await axios.get('https://api.opensubtitles.com/api/v1/subtitles', {
-      params: {
-        imdb_id: imdbId,
-        type: type === 'movie' ? 'movie' : 'episode'
-      },
-      headers: {
-        'Api-Key': apiKey,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    // Check if we have results
-    if (!response.data || !response.data.data || !Array.isArray(response.data.data)) {
-      return [];
-    }
-    
-    // Format the results
-    return response.data.data.map(item => ({
-      id: item.attributes.files[0].file_id,
-      url: `https://api.opensubtitles.com/api/v1/download`, // We'll need to download this separately
-      download_url: item.attributes.files[0].file_id, // Store the file_id for later download
-      lang: item.attributes.language,
-      title: item.attributes.release,
-      downloads: item.attributes.download_count || 0,
-      rating: item.attributes.ratings > 0 ? item.attributes.ratings / item.attributes.votes : 0
-    }));
-  } catch (error) {
-    console.error(`OpenSubtitles API error: ${error.message}`);
-    return [];
-  }
-}
-
-/**
- * Download a subtitle file from OpenSubtitles
- * @param {string} fileId - File ID from OpenSubtitles
+ * Download a subtitle file from the provider that listed it
+ * @param {Object} subtitle - Subtitle object returned by findSubtitles
  * @returns {string} - Subtitle content
  */
-async function downloadOpenSubtitlesFile(fileId) {
-  const apiKey = process.env.OPENSUBTITLES_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('OpenSubtitles API key not found in environment variables');
+async function downloadSubtitle(subtitle) {
+  const provider = subtitleProviders.getProvider(subtitle.provider);
+  
+  // Downloads may count against a daily quota, so reuse files we already fetched
+  const cacheKey = `download-${subtitle.id}`;
+  const cachedContent = provider.capabilities.cacheDownloads ? await downloadCache.get(cacheKey) : null;
+  if (cachedContent) {
+    console.log(`Using cached download for subtitle ${subtitle.id}`);
+    return cachedContent;
   }
   
   try {
-    // Request a download
-    const response = await axios.post('https://api.opensubtitles.com/api/v1/download', 
-      { file_id: fileId },
-      {
-        headers: {
-          'Api-Key': apiKey,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const content = await provider.download(subtitle);
     
-    // Get the download link
-    const downloadLink = response.data.link;
+    if (provider.capabilities.cacheDownloads) {
+      await downloadCache.set(cacheKey, content);
+    }
     
-    // Download the actual subtitle file
-    const subtitleResponse = await axios.get(downloadLink);
-    return subtitleResponse.data;
+    return content;
   } catch (error) {
-    console.error(`Error downloading subtitle from OpenSubtitles: ${error.message}`);
+    console.error(`Error downloading subtitle ${subtitle.id} from ${subtitle.provider}: ${error.message}`);
     throw error;
   }
 }
@@ -613,7 +490,7 @@ module.exports = {
   handleTranslationRequest,
   saveTranslatedSubtitle,
   findCachedTranslation,
-  findBestSubtitleForTranslation,
   getCacheDir,
-  searchOpenSubtitles
+  downloadSubtitle,
+  normalizeReleaseName
 };
@@ -0,0 +1,182 @@
+/**
+ * translation-memory.js - Line-level translation memory shared across files
+ * Different releases of a film, and recaps in series, repeat many identical
+ * lines. Every line translated with its formatting intact is remembered per
+ * language pair, style and provider, so the same line is never sent to a
+ * provider twice.
+ * Memories are kept in memory and saved under cache/translation-memory.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeFileAtomic } = require('./utils');
+const { PROMPT_VERSION } = require('./translation-providers/llm');
+
+const MEMORY_DIR = path.join(__dirname, '../cache/translation-memory');
+
+// Lines kept per memory; the least recently used ones are forgotten first
+const MAX_ENTRIES = parseInt(process.env.TRANSLATION_MEMORY_MAX_ENTRIES, 10) || 50000;
+
+// Changes are written to disk at most this often
+const SAVE_DELAY = 5000;
+
+// Memories by key, each { key, lines: Map<normalized line, translation>, loading, saveTimer }
+const memories = {};
+
+// Lookups since startup, counted per cue
+const stats = {
+  hits: 0,
+  misses: 0,
+  stored: 0
+};
+
+/**
+ * Normalize a source line so trivial differences don't prevent a match
+ * Whitespace and line breaks are collapsed, since releases wrap lines differently
+ * @param {string} text - Source line
+ * @returns {string} - Normalized line
+ */
+function normalizeLine(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the key of the memory for a language pair, style and provider
+ * @param {Object} request - Translation request with sourceLang, targetLang and style
+ * @param {string} providerLabel - Provider and model (e.g. 'gemini/gemini-1.5-pro')
+ * @returns {string} - Memory key
+ */
+function getMemoryKey(request, providerLabel) {
+  return `${request.sourceLang}_${request.targetLang}_${request.style}_${providerLabel}_v${PROMPT_VERSION}`;
+}
+
+/**
+ * Get a memory, loading it from disk the first time
+ * @param {string} key - Memory key
+ * @returns {Promise<Object>} - The memory
+ */
+async function getMemory(key) {
+  if (!memories[key]) {
+    const filePath = path.join(MEMORY_DIR, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+    const memory = { key, filePath, lines: new Map(), saveTimer: null };
+
+    memory.loading = readJsonFile(filePath, null).then(stored => {
+      if (stored && stored.key === key && stored.lines) {
+        memory.lines = new Map(Object.entries(stored.lines));
+      }
+    });
+
+    memories[key] = memory;
+  }
+
+  await memories[key].loading;
+  return memories[key];
+}
+
+function scheduleSave(memory) {
+  if (memory.saveTimer) return;
+
+  memory.saveTimer = setTimeout(async () => {
+    memory.saveTimer = null;
+    try {
+      await writeFileAtomic(memory.filePath, JSON.stringify({ key: memory.key, lines: Object.fromEntries(memory.lines) }));
+    } catch (error) {
+      console.error(`Error saving translation memory: ${error.message}`);
+    }
+  }, SAVE_DELAY);
+
+  // Don't keep the process alive just to save the memory
+  memory.saveTimer.unref();
+}
+
+/**
+ * Look up cues in the translation memories of a provider chain
+ * Providers are tried in chain order, so the preferred provider's translation wins
+ * @param {Array<Object>} items - Cues as { id, text }
+ * @param {Object} request - Translation request with sourceLang, targetLang and style
+ * @param {Array<string>} providerLabels - Provider and model of each provider in the chain
+ * @returns {Promise<Object>} - Map of cue ID to { text, provider } for the cues found
+ */
+async function findTranslations(items, request, providerLabels) {
+  const found = {};
+  const chain = await Promise.all(providerLabels.map(async label => ({
+    label,
+    memory: await getMemory(getMemoryKey(request, label))
+  })));
+
+  items.forEach(item => {
+    const line = normalizeLine(item.text);
+
+    for (const { label, memory } of chain) {
+      const translation = line ? memory.lines.get(line) : undefined;
+
+      if (translation !== undefined) {
+        // Move the line to the end, so the least recently used lines are forgotten first
+        memory.lines.delete(line);
+        memory.lines.set(line, translation);
+        found[item.id] = { text: translation, provider: label };
+        break;
+      }
+    }
+  });
+
+  const hits = Object.keys(found).length;
+  stats.hits += hits;
+  stats.misses += items.length - hits;
+
+  return found;
+}
+
+/**
+ * Remember translated cues
+ * @param {Array<Object>} items - Source cues as { id, text }
+ * @param {Array<string>} translations - Translation of each cue, in the same order
+ * @param {Object} request - Translation request with sourceLang, targetLang and style
+ * @param {string} providerLabel - Provider and model that translated the cues
+ * @returns {Promise<void>}
+ */
+async function remember(items, translations, request, providerLabel) {
+  const memory = await getMemory(getMemoryKey(request, providerLabel));
+
+  items.forEach((item, index) => {
+    const line = normalizeLine(item.text);
+    const translation = translations[index];
+
+    if (!line || typeof translation !== 'string' || !translation.trim()) return;
+
+    memory.lines.delete(line);
+    memory.lines.set(line, translation);
+    stats.stored++;
+  });
+
+  // Maps iterate in insertion order, so the first keys are the least recently used
+  for (const line of memory.lines.keys()) {
+    if (memory.lines.size <= MAX_ENTRIES) break;
+    memory.lines.delete(line);
+  }
+
+  scheduleSave(memory);
+}
+
+/**
+ * Get translation memory statistics
+ * @returns {Object} - Lookups, hit rate and the size of each loaded memory
+ */
+function getStats() {
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0,
+    stored: stats.stored,
+    memories: Object.values(memories).map(memory => ({ key: memory.key, lines: memory.lines.size }))
+  };
+}
+
+module.exports = {
+  normalizeLine,
+  findTranslations,
+  remember,
+  getStats
+};
@@ -0,0 +1,112 @@
+/**
+ * deepl.js - DeepL translation provider
+ */
+
+const axios = require('axios');
+
+// Languages DeepL can translate between (ISO 639-1)
+const DEEPL_LANGUAGES = [
+  'ar', 'bg', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fi', 'fr', 'hu', 'id', 'it',
+  'ja', 'ko', 'lt', 'lv', 'nb', 'no', 'nl', 'pl', 'pt', 'ro', 'ru', 'sk', 'sl', 'sv',
+  'tr', 'uk', 'zh'
+];
+
+// DeepL requires a regional variant for some target languages
+const DEEPL_TARGET_CODES = {
+  en: 'EN-US',
+  pt: 'PT-PT',
+  no: 'NB'
+};
+
+/**
+ * Convert a language code to a DeepL language code
+ * @param {string} lang - ISO 639-1 code, optionally with region (e.g. 'pt-BR')
+ * @param {boolean} isTarget - Whether the code is used as target language
+ * @returns {string} - DeepL language code
+ */
+function toDeepLCode(lang, isTarget) {
+  const base = lang.split('-')[0].toLowerCase();
+
+  if (!isTarget) {
+    return base === 'no' ? 'NB' : base.toUpperCase();
+  }
+
+  // Keep explicit regional variants (e.g. 'pt-BR', 'en-GB')
+  if (lang.includes('-')) {
+    return lang.toUpperCase();
+  }
+
+  return DEEPL_TARGET_CODES[base] || base.toUpperCase();
+}
+
+/**
+ * Create a DeepL provider
+ * @param {Object} settings - Provider settings (defaults come from the environment)
+ * @param {string} settings.apiKey - DeepL API key (DEEPL_API_KEY); free-plan keys end in ':fx'
+ * @param {number} settings.timeout - Request timeout in milliseconds (see index.getRequestTimeout)
+ * @returns {Object} - Translation provider
+ */
+function createDeepLProvider(settings = {}) {
+  const apiKey = settings.apiKey || process.env.DEEPL_API_KEY;
+  const host = apiKey && apiKey.endsWith(':fx') ? 'api-free.deepl.com' : 'api.deepl.com';
+
+  return {
+    name: 'deepl',
+    model: 'deepl',
+    capabilities: {
+      maxBatchSize: 50, // DeepL accepts up to 50 texts per request
+      contextWindow: null,
+      maxOutputTokens: null,
+      supportedLanguages: DEEPL_LANGUAGES
+    },
+
+    isConfigured() {
+      return !!apiKey;
+    },
+
+    /**
+     * Translate a batch of cues
+     * The API returns translations in request order, which maps them back to cue IDs
+     * @param {Array<Object>} items - Cues to translate, as { id, text }
+     * @param {Object} request - Translation request with sourceLang and targetLang codes
+     * @returns {Promise<Object>} - Map of cue ID to translated text
+     */
+    async translateBatch(items, request) {
+      const texts = items.map(item => item.text);
+
+      const response = await axios.post(
+        `https://${host}/v2/translate`,
+        {
+          text: texts,
+          source_lang: toDeepLCode(request.sourceLang, false),
+          target_lang: toDeepLCode(request.targetLang, true),
+          preserve_formatting: true
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `DeepL-Auth-Key ${apiKey}`
+          },
+          timeout: settings.timeout
+        }
+      );
+
+      const translations = response.data && response.data.translations;
+      if (!Array.isArray(translations) || translations.length !== texts.length) {
+        console.error('Invalid response from DeepL API:', response.data);
+        throw new Error('Invalid response from DeepL API');
+      }
+
+      const result = {};
+      items.forEach((item, index) => {
+        result[item.id] = translations[index].text;
+      });
+
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  createDeepLProvider
+};
@@ -0,0 +1,111 @@
+/**
+ * gemini.js - Google Gemini translation provider
+ */
+
+const axios = require('axios');
+const { buildBatchPrompt, parseBatchResponse, batchResponseSchema, createTruncatedError } = require('./llm');
+
+/**
+ * Convert a JSON schema to Gemini's schema format (upper-case type names)
+ * @param {Object} schema - JSON schema
+ * @returns {Object} - Gemini response schema
+ */
+function toGeminiSchema(schema) {
+  const converted = { ...schema, type: schema.type.toUpperCase() };
+
+  if (schema.properties) {
+    converted.properties = {};
+    Object.entries(schema.properties).forEach(([key, value]) => {
+      converted.properties[key] = toGeminiSchema(value);
+    });
+  }
+
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+
+  return converted;
+}
+
+/**
+ * Create a Gemini provider
+ * @param {Object} settings - Provider settings (defaults come from the environment)
+ * @param {string} settings.apiKey - Gemini API key (GEMINI_API_KEY)
+ * @param {string} settings.model - Model name (GEMINI_MODEL, default 'gemini-1.5-pro')
+ * @param {number} settings.timeout - Request timeout in milliseconds (see index.getRequestTimeout)
+ * @returns {Object} - Translation provider
+ */
+function createGeminiProvider(settings = {}) {
+  const apiKey = settings.apiKey || process.env.GEMINI_API_KEY;
+  const model = settings.model || process.env.GEMINI_MODEL || 'gemini-1.5-pro';
+
+  return {
+    name: 'gemini',
+    model,
+    capabilities: {
+      initialBatchSize: 40,
+      maxBatchSize: 150,
+      contextWindow: 1048576,
+      maxOutputTokens: 8192,
+      supportedLanguages: null, // Any language the model knows
+      structuredOutput: true
+    },
+
+    isConfigured() {
+      return !!apiKey;
+    },
+
+    /**
+     * Translate a batch of cues
+     * @param {Array<Object>} items - Cues to translate, as { id, text }
+     * @param {Object} request - Languages and style (see llm.buildBatchPrompt)
+     * @returns {Promise<Object>} - Map of cue ID to translated text
+     */
+    async translateBatch(items, request) {
+      const prompt = buildBatchPrompt(items, request);
+
+      // Call the Gemini API (v1beta is needed for JSON mode and response schemas)
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+        {
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: {
+            temperature: 0.2,
+            topK: 40,
+            topP: 0.95,
+            maxOutputTokens: this.capabilities.maxOutputTokens,
+            responseMimeType: 'application/json',
+            responseSchema: toGeminiSchema(batchResponseSchema)
+          }
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'x-goog-api-key': apiKey
+          },
+          timeout: settings.timeout
+        }
+      );
+
+      // Check if the response is valid
+      if (!response.data || !response.data.candidates || !response.data.candidates[0] || !response.data.candidates[0].content) {
+        console.error('Invalid response from Gemini API:', response.data);
+        throw new Error('Invalid response from Gemini API');
+      }
+
+      // A reply that hit maxOutputTokens is incomplete JSON
+      if (response.data.candidates[0].finishReason === 'MAX_TOKENS') {
+        throw createTruncatedError(this.name);
+      }
+
+      // Extract the translated text
+      const translatedText = response.data.candidates[0].content.parts[0].text;
+
+      return parseBatchResponse(translatedText);
+    }
+  };
+}
+
+module.exports = {
+  createGeminiProvider
+};
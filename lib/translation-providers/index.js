@@ -0,0 +1,139 @@
+/**
+ * Translation provider registry
+ * Every provider exposes the same interface:
+ *   name, model             - identifiers used for logging and caching
+ *   capabilities            - { initialBatchSize, maxBatchSize, contextWindow, maxOutputTokens,
+ *                               supportedLanguages, structuredOutput }
+ *   isConfigured()          - whether the provider has the settings it needs
+ *   translateBatch(items, request) - translate [{ id, text }] cues, resolving to { [id]: translation }
+ * The active provider is selected with TRANSLATION_PROVIDER (default: gemini)
+ * TRANSLATION_PROVIDERS sets an ordered fallback chain instead (e.g. "gemini,ollama,libretranslate")
+ */
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAICompatibleProvider, createOllamaProvider } = require('./openai');
+const { createDeepLProvider } = require('./deepl');
+const { createLibreTranslateProvider } = require('./libretranslate');
+
+// Factories for every known provider
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  ollama: createOllamaProvider,
+  deepl: createDeepLProvider,
+  libretranslate: createLibreTranslateProvider
+};
+
+// Longest a provider may take to answer one batch before the call fails and is retried
+const DEFAULT_REQUEST_TIMEOUT = 120000;
+
+// Provider instances, created on first use
+const providerInstances = {};
+
+/**
+ * Get the names of all known providers
+ * @returns {Array<string>} - Provider names
+ */
+function getProviderNames() {
+  return Object.keys(providerFactories);
+}
+
+/**
+ * Get the request timeout of a provider
+ * Set globally with TRANSLATION_TIMEOUT_MS or per provider (e.g. OLLAMA_TIMEOUT_MS)
+ * @param {string} name - Provider name
+ * @returns {number} - Timeout in milliseconds
+ */
+function getRequestTimeout(name) {
+  const specific = parseInt(process.env[`${name.toUpperCase()}_TIMEOUT_MS`], 10);
+  const global = parseInt(process.env.TRANSLATION_TIMEOUT_MS, 10);
+
+  return specific > 0 ? specific : global > 0 ? global : DEFAULT_REQUEST_TIMEOUT;
+}
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - Provider name (defaults to TRANSLATION_PROVIDER or 'gemini')
+ * @returns {Object} - Translation provider
+ */
+function getProvider(name = process.env.TRANSLATION_PROVIDER || 'gemini') {
+  const key = name.toLowerCase();
+  const factory = providerFactories[key];
+
+  if (!factory) {
+    throw new Error(`Unknown translation provider: ${name}`);
+  }
+
+  if (!providerInstances[key]) {
+    providerInstances[key] = factory({ timeout: getRequestTimeout(key) });
+  }
+
+  return providerInstances[key];
+}
+
+/**
+ * Get the ordered fallback chain of providers
+ * Providers that are not configured are left out
+ * @param {Array<string>|string} names - Provider names (defaults to TRANSLATION_PROVIDERS, then TRANSLATION_PROVIDER)
+ * @returns {Array<Object>} - Translation providers, in order
+ */
+function getProviderChain(names = process.env.TRANSLATION_PROVIDERS || process.env.TRANSLATION_PROVIDER || 'gemini') {
+  const list = Array.isArray(names) ? names : names.split(',');
+
+  return list
+    .map(name => name.trim())
+    .filter((name, index, all) => name && all.indexOf(name) === index)
+    .map(name => getProvider(name))
+    .filter(provider => {
+      if (!provider.isConfigured()) {
+        console.warn(`Translation provider ${provider.name} is not configured, skipping it`);
+        return false;
+      }
+      return true;
+    });
+}
+
+/**
+ * Check whether a provider can translate between two languages
+ * @param {Object} provider - Translation provider
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @returns {boolean} - True if the pair is supported
+ */
+function supportsLanguagePair(provider, sourceLang, targetLang) {
+  const languages = provider.capabilities.supportedLanguages;
+
+  if (!languages) {
+    return true;
+  }
+
+  const base = lang => lang.split('-')[0].toLowerCase();
+  return languages.includes(base(sourceLang)) && languages.includes(base(targetLang));
+}
+
+/**
+ * Describe all providers for status and debug output
+ * @returns {Array<Object>} - { name, model, configured, timeout, capabilities }
+ */
+function describeProviders() {
+  return getProviderNames().map(name => {
+    const provider = getProvider(name);
+
+    return {
+      name: provider.name,
+      model: provider.model,
+      configured: provider.isConfigured(),
+      timeout: getRequestTimeout(name),
+      capabilities: provider.capabilities
+    };
+  });
+}
+
+module.exports = {
+  getProviderNames,
+  getProvider,
+  getRequestTimeout,
+  getProviderChain,
+  supportsLanguagePair,
+  describeProviders
+};
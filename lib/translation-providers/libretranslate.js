@@ -0,0 +1,80 @@
+/**
+ * libretranslate.js - LibreTranslate provider (self-hosted or public instances)
+ */
+
+const axios = require('axios');
+
+/**
+ * Create a LibreTranslate provider
+ * @param {Object} settings - Provider settings (defaults come from the environment)
+ * @param {string} settings.url - Server URL (LIBRETRANSLATE_URL)
+ * @param {string} settings.apiKey - API key (LIBRETRANSLATE_API_KEY), only needed by some instances
+ * @param {Array<string>} settings.languages - Languages installed on the server (LIBRETRANSLATE_LANGUAGES, comma separated)
+ * @param {number} settings.timeout - Request timeout in milliseconds (see index.getRequestTimeout)
+ * @returns {Object} - Translation provider
+ */
+function createLibreTranslateProvider(settings = {}) {
+  const url = (settings.url || process.env.LIBRETRANSLATE_URL || '').replace(/\/+$/, '');
+  const apiKey = settings.apiKey || process.env.LIBRETRANSLATE_API_KEY;
+  const languages = settings.languages
+    || (process.env.LIBRETRANSLATE_LANGUAGES ? process.env.LIBRETRANSLATE_LANGUAGES.split(',').map(lang => lang.trim()) : null);
+
+  return {
+    name: 'libretranslate',
+    model: 'libretranslate',
+    capabilities: {
+      maxBatchSize: 25,
+      contextWindow: null,
+      maxOutputTokens: null,
+      supportedLanguages: languages // null means whatever the server has installed
+    },
+
+    isConfigured() {
+      return !!url;
+    },
+
+    /**
+     * Translate a batch of cues
+     * The API returns translations in request order, which maps them back to cue IDs
+     * @param {Array<Object>} items - Cues to translate, as { id, text }
+     * @param {Object} request - Translation request with sourceLang and targetLang codes
+     * @returns {Promise<Object>} - Map of cue ID to translated text
+     */
+    async translateBatch(items, request) {
+      const texts = items.map(item => item.text);
+
+      const body = {
+        q: texts,
+        source: request.sourceLang.split('-')[0],
+        target: request.targetLang.split('-')[0],
+        format: 'text'
+      };
+
+      if (apiKey) {
+        body.api_key = apiKey;
+      }
+
+      const response = await axios.post(`${url}/translate`, body, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: settings.timeout
+      });
+
+      const translations = response.data && response.data.translatedText;
+      if (!Array.isArray(translations) || translations.length !== texts.length) {
+        console.error('Invalid response from LibreTranslate API:', response.data);
+        throw new Error('Invalid response from LibreTranslate API');
+      }
+
+      const result = {};
+      items.forEach((item, index) => {
+        result[item.id] = translations[index];
+      });
+
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  createLibreTranslateProvider
+};
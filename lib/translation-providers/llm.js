@@ -0,0 +1,118 @@
+/**
+ * llm.js - Prompt building and reply parsing shared by the chat-model providers
+ * Batches are exchanged as JSON keyed by cue ID, so a reply can never shift
+ * translations onto the wrong cues
+ */
+
+// Bump whenever the prompt or reply format changes, so translations cached
+// with the old prompt aren't served again
+const PROMPT_VERSION = 3;
+
+// Prompt instructions for each translation style
+const styleInstructions = {
+  natural: 'Keep the same meaning and tone, using natural, conversational phrasing.',
+  literal: 'Translate as literally as possible while keeping the result grammatical.'
+};
+
+// JSON schema of the reply, for providers that support constrained output
+const batchResponseSchema = {
+  type: 'object',
+  properties: {
+    translations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          text: { type: 'string' }
+        },
+        required: ['id', 'text']
+      }
+    }
+  },
+  required: ['translations']
+};
+
+/**
+ * Build the prompt for translating a batch of subtitle cues
+ * @param {Array<Object>} items - Cues to translate, as { id, text }
+ * @param {Object} request - Translation request
+ * @param {string} request.sourceLangName - Source language name (e.g. 'English')
+ * @param {string} request.targetLangName - Target language name (e.g. 'Greek')
+ * @param {string} request.style - Translation style ('natural' or 'literal')
+ * @returns {string} - The prompt
+ */
+function buildBatchPrompt(items, request) {
+  const instruction = styleInstructions[request.style] || styleInstructions.natural;
+  const payload = JSON.stringify({ cues: items.map(item => ({ id: item.id, text: item.text })) });
+
+  return `Translate the following subtitle cues from ${request.sourceLangName} to ${request.targetLangName}.
+${instruction}
+The input is JSON. Each cue has an "id" and a "text"; a text may span several lines.
+Reply with JSON only, in the form {"translations":[{"id":"<id>","text":"<translation>"}]},
+with exactly one entry for every input id, the same ids, and line breaks kept as \\n.
+Placeholders such as {1} stand for formatting tags: keep every placeholder of a cue exactly once in its translation,
+unchanged, around the same words as in the input.
+
+${payload}`;
+}
+
+/**
+ * Parse a model reply into translations keyed by cue ID
+ * Accepts {"translations":[{id,text}]}, a bare array of {id,text} or an {id: text} object
+ * @param {string} replyText - The raw reply from the model
+ * @returns {Object} - Map of cue ID to translated text
+ */
+function parseBatchResponse(replyText) {
+  // Models sometimes wrap JSON in a markdown code fence
+  const json = replyText.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    const parseError = new Error(`Reply is not valid JSON: ${error.message}`);
+    parseError.malformed = true;
+    throw parseError;
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.translations;
+  const translations = {};
+
+  if (Array.isArray(entries)) {
+    entries.forEach(entry => {
+      if (entry && entry.id !== undefined && typeof entry.text === 'string') {
+        translations[String(entry.id)] = entry.text;
+      }
+    });
+  } else if (parsed && typeof parsed === 'object') {
+    Object.entries(parsed).forEach(([id, text]) => {
+      if (typeof text === 'string') {
+        translations[id] = text;
+      }
+    });
+  }
+
+  return translations;
+}
+
+/**
+ * Create the error thrown when a reply was cut off at the output token limit
+ * The batching code reacts to it by splitting the batch
+ * @param {string} providerName - Provider name
+ * @returns {Error} - Error with `truncated` set
+ */
+function createTruncatedError(providerName) {
+  const error = new Error(`Reply from ${providerName} was cut off at the output token limit`);
+  error.truncated = true;
+  return error;
+}
+
+module.exports = {
+  PROMPT_VERSION,
+  styleInstructions,
+  createTruncatedError,
+  batchResponseSchema,
+  buildBatchPrompt,
+  parseBatchResponse
+};
@@ -0,0 +1,118 @@
+/**
+ * openai.js - OpenAI-compatible chat completion provider
+ * Works with the OpenAI API and with local servers that speak the same protocol (Ollama, llama.cpp)
+ */
+
+const axios = require('axios');
+const { buildBatchPrompt, parseBatchResponse, createTruncatedError } = require('./llm');
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} settings - Provider settings (defaults come from the environment)
+ * @param {string} settings.name - Provider name reported to the rest of the add-on
+ * @param {string} settings.baseUrl - API base URL (OPENAI_BASE_URL)
+ * @param {string} settings.apiKey - API key (OPENAI_API_KEY), optional for local servers
+ * @param {string} settings.model - Model name (OPENAI_MODEL, default 'gpt-4o-mini')
+ * @param {number} settings.contextWindow - Context window in tokens (OPENAI_CONTEXT_WINDOW)
+ * @param {number} settings.initialBatchSize - Cues per request before adaptive batching adjusts it
+ * @param {number} settings.maxBatchSize - Maximum cues per request
+ * @param {boolean} settings.jsonMode - Request JSON output (OPENAI_JSON_MODE, default true)
+ * @param {number} settings.timeout - Request timeout in milliseconds (see index.getRequestTimeout)
+ * @returns {Object} - Translation provider
+ */
+function createOpenAICompatibleProvider(settings = {}) {
+  const baseUrl = (settings.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+  const apiKey = settings.apiKey !== undefined ? settings.apiKey : process.env.OPENAI_API_KEY;
+  const model = settings.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  const contextWindow = settings.contextWindow || parseInt(process.env.OPENAI_CONTEXT_WINDOW, 10) || 128000;
+  const jsonMode = settings.jsonMode !== undefined ? settings.jsonMode : process.env.OPENAI_JSON_MODE !== 'false';
+
+  return {
+    name: settings.name || 'openai',
+    model,
+    capabilities: {
+      initialBatchSize: settings.initialBatchSize || 30,
+      maxBatchSize: settings.maxBatchSize || 100,
+      contextWindow,
+      maxOutputTokens: Math.min(4096, Math.floor(contextWindow / 2)),
+      supportedLanguages: null, // Any language the model knows
+      structuredOutput: jsonMode
+    },
+
+    isConfigured() {
+      // Local servers usually don't need a key, the hosted API does
+      return !!apiKey || baseUrl !== DEFAULT_OPENAI_BASE_URL;
+    },
+
+    /**
+     * Translate a batch of cues
+     * @param {Array<Object>} items - Cues to translate, as { id, text }
+     * @param {Object} request - Languages and style (see llm.buildBatchPrompt)
+     * @returns {Promise<Object>} - Map of cue ID to translated text
+     */
+    async translateBatch(items, request) {
+      const prompt = buildBatchPrompt(items, request);
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const body = {
+        model,
+        messages: [
+          { role: 'system', content: 'You are a professional subtitle translator. You always reply with JSON.' },
+          { role: 'user', content: prompt }
+        ],
+        temperature: 0.2,
+        max_tokens: this.capabilities.maxOutputTokens
+      };
+
+      if (jsonMode) {
+        body.response_format = { type: 'json_object' };
+      }
+
+      const response = await axios.post(`${baseUrl}/chat/completions`, body, { headers, timeout: settings.timeout });
+
+      // Check if the response is valid
+      const choice = response.data && response.data.choices && response.data.choices[0];
+      if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+        console.error(`Invalid response from ${this.name} API:`, response.data);
+        throw new Error(`Invalid response from ${this.name} API`);
+      }
+
+      // A reply that hit max_tokens is incomplete JSON
+      if (choice.finish_reason === 'length') {
+        throw createTruncatedError(this.name);
+      }
+
+      return parseBatchResponse(choice.message.content);
+    }
+  };
+}
+
+/**
+ * Create a provider for a local Ollama server through its OpenAI-compatible endpoint
+ * @param {Object} settings - Provider settings (OLLAMA_BASE_URL, OLLAMA_MODEL, OLLAMA_CONTEXT_WINDOW, timeout)
+ * @returns {Object} - Translation provider
+ */
+function createOllamaProvider(settings = {}) {
+  return createOpenAICompatibleProvider({
+    name: 'ollama',
+    baseUrl: settings.baseUrl || process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: settings.apiKey || '',
+    model: settings.model || process.env.OLLAMA_MODEL || 'llama3.1',
+    contextWindow: settings.contextWindow || parseInt(process.env.OLLAMA_CONTEXT_WINDOW, 10) || 8192,
+    // Small local models lose track of long batches
+    initialBatchSize: settings.initialBatchSize || 5,
+    maxBatchSize: settings.maxBatchSize || 20,
+    timeout: settings.timeout
+  });
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+  createOllamaProvider
+};
@@ -1,10 +1,53 @@
-const axios = require('axios');
-const NodeCache = require('node-cache');
-const { parse: parseSRT } = require('subtitle');
-const { convert } = require('subtitle-converter');
+const subtitleFormats = require('./subtitle-formats');
+const translationProviders = require('./translation-providers');
+const { styleInstructions, PROMPT_VERSION } = require('./translation-providers/llm');
+const { retryWithExponentialBackoff } = require('./utils');
+const batching = require('./batching');
+const scheduler = require('./scheduler');
+const { createDiskCache } = require('./disk-cache');
+const translationMemory = require('./translation-memory');
+const placeholders = require('./placeholders');
 
-// Create a cache for translations
-const translationCache = new NodeCache({ stdTTL: 86400 }); // Cache for 24 hours
+// Retries per provider before a batch fails over to the next provider; 0 fails over right away
+const parsedMaxRetries = parseInt(process.env.TRANSLATION_MAX_RETRIES, 10);
+const MAX_RETRIES = Number.isFinite(parsedMaxRetries) && parsedMaxRetries >= 0 ? parsedMaxRetries : 2;
+const RETRY_BASE_DELAY = 1000;
+
+// Targeted re-requests for cues a reply left out, before the batch counts as failed
+const MAX_MISSING_RETRIES = 2;
+
+// Batches of one film queued with the provider schedulers at the same time
+const BATCH_CONCURRENCY = parseInt(process.env.TRANSLATION_BATCH_CONCURRENCY, 10) || 3;
+
+// The opening cues go out as a small batch of their own, so playback can start with them quickly
+const FIRST_BATCH_SIZE = 10;
+
+// Formats translated in place, so their styles, positioning and karaoke survive; the others become WebVTT
+const IN_PLACE_FORMATS = ['ass', 'ssa'];
+
+// ASS styles whose lines are left untranslated (signs, karaoke, ...), as comma separated names with * wildcards
+const ASS_SKIP_STYLES = (process.env.ASS_SKIP_STYLES || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean)
+  .map(name => new RegExp(`^${name.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i'));
+
+// How much of a subtitle a translation run got translated: complete results are cached,
+// partial ones still hold cues in the source language, untranslated ones are the original file
+const TRANSLATION_STATUS = {
+  COMPLETE: 'complete',
+  PARTIAL: 'partial',
+  UNTRANSLATED: 'untranslated'
+};
+
+// Translations persist across restarts under cache/translations
+const translationCache = createDiskCache('translations');
+
+// Batches finished by translations that haven't completed yet, so a restart can resume them
+const checkpointCache = createDiskCache('checkpoints');
+
+// Translations currently running, by cache key, so identical requests share one run
+const inFlight = new Map();
 
 // Language mapping for translation
 const languageMap = {
@@ -55,218 +98,574 @@ function getLanguageName(langCode) {
 }
 
 /**
- * Parse subtitle content into an array of cues
- * @param {string} content - The subtitle content
- * @param {string} format - The subtitle format ('vtt' or 'srt')
- * @returns {Array} - Array of subtitle cues
+ * Get the label recording which provider and model translated a cue
+ * @param {Object} provider - Translation provider
+ * @returns {string} - Label (e.g. 'gemini/gemini-1.5-pro')
+ */
+function getProviderLabel(provider) {
+  return `${provider.name}/${provider.model}`;
+}
+
+/**
+ * Serialize translated cues
+ * A comment comes before each cue where the translating provider (the cue's `provider`) changes,
+ * so the file records which provider translated each cue
+ * @param {Array<Object>} cues - Cues in the format's markup (see lib/subtitle-formats)
+ * @param {Object} header - Header of the source document, if it was in this format
+ * @param {string} format - Format to write (default WebVTT)
+ * @returns {string} - Subtitle content
+ */
+function serializeTranslation(cues, header = null, format = 'vtt') {
+  let currentProvider = null;
+  
+  const annotated = cues.map(cue => {
+    if (!cue.provider || cue.provider === currentProvider) {
+      return cue;
+    }
+    
+    currentProvider = cue.provider;
+    return { ...cue, comments: [...(cue.comments || []), `translated by ${cue.provider}`] };
+  });
+  
+  return subtitleFormats.serializeSubtitle({ format, header, cues: annotated, comments: [] });
+}
+
+/**
+ * Check whether an ASS event is left untranslated
+ * Drawings and lines that are only override blocks have no text to translate,
+ * and lines in one of ASS_SKIP_STYLES are skipped on request
+ * @param {Object} cue - Cue in ASS markup
+ * @param {string} format - 'ass' or 'ssa'
+ * @returns {boolean} - True if the event keeps its original text
+ */
+function isSkippedEvent(cue, format) {
+  const style = String((cue.data && cue.data.fields && cue.data.fields.Style) || '').replace(/^\*/, '');
+  
+  return !subtitleFormats.toBasicMarkup(cue.text, format).trim()
+    || ASS_SKIP_STYLES.some(pattern => pattern.test(style));
+}
+
+/**
+ * Check a provider reply against the cues that were sent
+ * A translation that lost or repeated a formatting placeholder is re-requested like a missing one,
+ * but kept in `mismatched` in case no better reply comes
+ * @param {Array<Object>} items - Cues that were sent, as { id, text }
+ * @param {Object} reply - Map of cue ID to translated text
+ * @returns {Object} - { accepted, missing, mismatched, extra } where accepted and mismatched map ID to text
+ */
+function validateBatchResponse(items, reply) {
+  const accepted = {};
+  const missing = [];
+  const mismatched = {};
+  const requestedIds = new Set(items.map(item => item.id));
+  const extra = Object.keys(reply || {}).filter(id => !requestedIds.has(id));
+  
+  items.forEach(item => {
+    const translation = reply ? reply[item.id] : undefined;
+    
+    // An empty reply for a non-empty cue counts as missing
+    if (typeof translation !== 'string' || (!translation.trim() && item.text.trim())) {
+      missing.push(item);
+    } else if (!placeholders.placeholdersMatch(item.text, translation)) {
+      missing.push(item);
+      mismatched[item.id] = translation;
+    } else {
+      accepted[item.id] = translation;
+    }
+  });
+  
+  return { accepted, missing, mismatched, extra };
+}
+
+/**
+ * Send one chunk of cues to a provider
+ * The call goes through the provider's shared scheduler, which applies its rate limits.
+ * A reply that was cut off or unreadable is retried as two smaller halves
+ * @param {Object} provider - Translation provider
+ * @param {Array<Object>} chunk - Cues to translate, as { id, text }
+ * @param {Object} request - Languages, style and the jobId the scheduler queues the call under
+ * @returns {Promise<Object>} - { accepted, missing, mismatched, extra, split } (see validateBatchResponse)
+ *   where split is true if the chunk had to be halved
  */
-function parseSubtitleContent(content, format = 'vtt') {
+async function requestChunk(provider, chunk, request) {
+  // Prompt and reply both count towards tokens-per-minute limits
+  const tokens = chunk.reduce((sum, item) => sum + batching.estimateTokens(item.text) + batching.estimateCueTokens(item), 0);
+  
   try {
-    // For SRT format, use the subtitle parser
-    if (format === 'srt') {
-      return parseSRT(content);
+    const reply = await scheduler.getScheduler(provider.name).schedule(
+      () => provider.translateBatch(chunk, request),
+      { jobId: request.jobId, tokens }
+    );
+    return { ...validateBatchResponse(chunk, reply), split: false };
+  } catch (error) {
+    if (!(error.truncated || error.malformed) || chunk.length < 2) {
+      throw error;
     }
     
-    // For VTT format, use a simple regex-based parser
-    const cues = [];
-    const lines = content.split('\n');
-    let currentCue = null;
+    console.warn(`${error.message}, splitting ${chunk.length} cues in half`);
     
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Skip empty lines and WEBVTT header
-      if (!line || line === 'WEBVTT') continue;
+    const middle = Math.ceil(chunk.length / 2);
+    const first = await requestChunk(provider, chunk.slice(0, middle), request);
+    const second = await requestChunk(provider, chunk.slice(middle), request);
+    
+    return {
+      accepted: { ...first.accepted, ...second.accepted },
+      missing: [...first.missing, ...second.missing],
+      mismatched: { ...first.mismatched, ...second.mismatched },
+      extra: [...first.extra, ...second.extra],
+      split: true
+    };
+  }
+}
+
+/**
+ * Translate cues with a single provider, splitting them to fit its limits
+ * Every reply is validated by cue ID; cues it left out, or whose formatting placeholders it
+ * mangled, are re-requested on their own. Cues that still lost placeholders are handed back
+ * with the error like missing ones, along with their mangled translations, so the next provider
+ * gets a try before they are settled for (see translateBatchWithFallback)
+ * @param {Object} provider - Translation provider
+ * @param {Array<Object>} items - Cues to translate, as { id, text }
+ * @param {Object} request - Languages and style
+ * @returns {Promise<Object>} - { translations, clean } where translations has one entry per cue, in request order,
+ *   and clean is false if any reply was truncated, malformed or didn't match the request
+ */
+async function translateWithProvider(provider, items, request) {
+  const translations = {};
+  const mismatched = {};
+  let pending = items;
+  let clean = true;
+  
+  for (let attempt = 0; attempt <= MAX_MISSING_RETRIES && pending.length > 0; attempt++) {
+    if (attempt > 0) {
+      console.warn(`Re-requesting ${pending.length} missing cues from ${provider.name} (attempt ${attempt})`);
+    }
+    
+    const missing = [];
+    
+    for (const chunk of batching.splitIntoBatches(pending, provider)) {
+      const result = await requestChunk(provider, chunk, request);
       
-      // Skip NOTE lines
-      if (line.startsWith('NOTE')) {
-        while (i < lines.length && lines[i].trim()) i++;
-        continue;
+      if (result.extra.length > 0) {
+        console.warn(`Ignoring ${result.extra.length} unexpected cue IDs from ${provider.name}: ${result.extra.join(', ')}`);
       }
       
-      // Check if this is a timing line (00:00:00.000 --> 00:00:00.000)
-      const timingMatch = line.match(/(\d{2}:\d{2}:\d{2}\.\d{3}|\d{2}:\d{2}\.\d{3}) --> (\d{2}:\d{2}:\d{2}\.\d{3}|\d{2}:\d{2}\.\d{3})/);
+      const mismatchedCount = Object.keys(result.mismatched).length;
+      if (mismatchedCount > 0) {
+        console.warn(`${mismatchedCount} translations from ${provider.name} lost formatting placeholders`);
+      }
       
-      if (timingMatch) {
-        // If we already have a cue, push it to the array
-        if (currentCue) {
-          cues.push(currentCue);
-        }
-        
-        // Start a new cue
-        currentCue = {
-          start: timingMatch[1],
-          end: timingMatch[2],
-          text: ''
-        };
-      } 
-      // If we have a current cue and this is not a cue number, add it to the text
-      else if (currentCue && !line.match(/^\d+$/)) {
-        currentCue.text += (currentCue.text ? '\n' : '') + line;
+      if (result.split || result.extra.length > 0 || result.missing.length > 0) {
+        clean = false;
       }
+      
+      Object.assign(translations, result.accepted);
+      Object.assign(mismatched, result.mismatched);
+      missing.push(...result.missing);
     }
     
-    // Add the last cue
-    if (currentCue) {
-      cues.push(currentCue);
-    }
-    
-    return cues;
-  } catch (error) {
-    console.error('Error parsing subtitle content:', error);
-    return [];
+    pending = missing;
+  }
+  
+  if (pending.length > 0) {
+    // Resending the batch would only repeat the targeted re-requests, so the cues still
+    // missing go to the next provider and the accepted ones are kept
+    const error = new Error(`${provider.name} returned no complete translation for cues ${pending.map(item => item.id).join(', ')}`);
+    error.incomplete = true;
+    error.translations = translations;
+    error.mismatched = {};
+    pending.filter(item => mismatched[item.id] !== undefined).forEach(item => {
+      error.mismatched[item.id] = mismatched[item.id];
+    });
+    error.missing = pending;
+    throw error;
   }
+  
+  return { translations: items.map(item => translations[item.id]), clean };
 }
 
 /**
- * Convert cues back to VTT format
- * @param {Array} cues - Array of subtitle cues
- * @returns {string} - VTT formatted subtitle content
+ * Translate a batch, failing over to the next provider in the chain when one fails
+ * A provider that translated part of the batch keeps those cues; only the rest go to the next provider.
+ * Translations that lost placeholders are only settled for once no provider did better
+ * @param {Array<Object>} items - Cues to translate, as { id, text }
+ * @param {Object} request - Languages and style
+ * @param {Array<Object>} providers - Ordered provider chain
+ * @returns {Promise<Object>} - { translations, providers, settled, clean } with one entry per cue in request order,
+ *   providers holding the provider of each cue (null, with the original text, where every provider failed),
+ *   settled true for the cues whose translation lost placeholders
+ *   and clean true if the first provider answered the whole batch cleanly
  */
-function convertCuesToVTT(cues) {
-  let vttContent = 'WEBVTT\n\n';
+async function translateBatchWithFallback(items, request, providers) {
+  const translations = {};
+  const translatedBy = {};
+  const mismatched = {};
+  let remaining = items;
+  let clean = false;
+  
+  for (const provider of providers) {
+    if (remaining.length === 0) break;
+    
+    try {
+      const result = await retryWithExponentialBackoff(
+        () => translateWithProvider(provider, remaining, request),
+        MAX_RETRIES,
+        RETRY_BASE_DELAY,
+        // The scheduler already waited out rate limits, and missing cues were re-requested already,
+        // so move on to the next provider
+        error => !error.rateLimited && !error.incomplete
+      );
+      
+      remaining.forEach((item, index) => {
+        translations[item.id] = result.translations[index];
+        translatedBy[item.id] = provider;
+      });
+      
+      clean = result.clean && provider === providers[0] && remaining === items;
+      remaining = [];
+    } catch (error) {
+      console.error(`Provider ${provider.name} failed for batch: ${error.message}`);
+      
+      if (error.incomplete) {
+        Object.entries(error.translations).forEach(([id, text]) => {
+          translations[id] = text;
+          translatedBy[id] = provider;
+        });
+        // The first provider's attempt is kept in case no other provider keeps the placeholders either
+        Object.entries(error.mismatched).forEach(([id, text]) => {
+          if (!mismatched[id]) mismatched[id] = { text, provider };
+        });
+        remaining = error.missing;
+      }
+    }
+  }
   
-  cues.forEach((cue, index) => {
-    vttContent += `${index + 1}\n`;
-    vttContent += `${cue.start} --> ${cue.end}\n`;
-    vttContent += `${cue.text}\n\n`;
+  // Settle for a translation that lost placeholders over none at all
+  const settled = new Set();
+  items.forEach(item => {
+    if (translations[item.id] === undefined && mismatched[item.id]) {
+      translations[item.id] = mismatched[item.id].text;
+      translatedBy[item.id] = mismatched[item.id].provider;
+      settled.add(item.id);
+    }
   });
   
-  return vttContent;
+  // Cues every provider failed on keep their original texts
+  return {
+    translations: items.map(item => (translations[item.id] !== undefined ? translations[item.id] : item.text)),
+    providers: items.map(item => translatedBy[item.id] || null),
+    settled: items.map(item => settled.has(item.id)),
+    clean
+  };
 }
 
 /**
- * Translate subtitle content using the Gemini API
+ * Translate subtitle content with a provider chain, using and filling the cache
  * @param {string} content - The subtitle content to translate
  * @param {string} sourceLang - The source language code
  * @param {string} targetLang - The target language code
- * @param {Object} options - Additional options
- * @returns {Promise<string>} - The translated subtitle content
+ * @param {string} style - Translation style
+ * @param {Array<Object>} providers - Ordered provider chain
+ * @param {string} cacheKey - Cache key of the translation
+ * @param {Function} onProgress - Progress callback (see translateSubtitleWithStatus)
+ * @returns {Promise<Object>} - { content, status } (see translateSubtitleWithStatus)
  */
-async function translateSubtitle(content, sourceLang, targetLang, options = {}) {
-  console.log(`Translating subtitle from ${sourceLang} to ${targetLang}`);
-  
-  // Generate a cache key based on content hash and languages
-  const contentHash = require('crypto').createHash('md5').update(content).digest('hex');
-  const cacheKey = `${contentHash}_${sourceLang}_${targetLang}`;
-  
+async function runTranslation(content, sourceLang, targetLang, style, providers, cacheKey, onProgress) {
   // Check if we have a cached translation
-  const cachedTranslation = translationCache.get(cacheKey);
+  const cachedTranslation = await translationCache.get(cacheKey);
   if (cachedTranslation) {
     console.log('Using cached translation');
-    return cachedTranslation;
+    return { content: cachedTranslation, status: TRANSLATION_STATUS.COMPLETE };
   }
   
   try {
-    // Parse the subtitle content into cues
-    const format = content.trim().startsWith('WEBVTT') ? 'vtt' : 'srt';
-    const cues = parseSubtitleContent(content, format);
+    // Parse the subtitle content into cues. ASS/SSA files are translated in place;
+    // everything else is translated in WebVTT markup, since that is what gets served
+    const source = subtitleFormats.parseSubtitle(content);
+    const inPlace = IN_PLACE_FORMATS.includes(source.format);
+    const document = inPlace ? source : subtitleFormats.convertDocument(source, 'vtt');
     
-    if (cues.length === 0) {
+    if (document.cues.length === 0) {
       console.error('No subtitle cues found');
-      return content;
+      return { content, status: TRANSLATION_STATUS.UNTRANSLATED };
     }
     
-    console.log(`Found ${cues.length} subtitle cues to translate`);
+    // Translate in timeline order, so a partial result covers the opening minutes.
+    // The document keeps its own order, which sets the stacking of ASS events
+    const cues = [...document.cues].sort((a, b) => a.start - b.start);
+    const endTime = cues.reduce((latest, cue) => Math.max(latest, cue.end), 0);
     
-    // Prepare text for translation (batch cues to avoid token limits)
-    const batchSize = 10; // Translate 10 cues at a time
-    const batches = [];
+    const request = {
+      sourceLang,
+      targetLang,
+      sourceLangName: getLanguageName(sourceLang),
+      targetLangName: getLanguageName(targetLang),
+      style,
+      jobId: cacheKey
+    };
     
-    for (let i = 0; i < cues.length; i += batchSize) {
-      batches.push(cues.slice(i, i + batchSize));
-    }
+    // Cues translated so far, and how many of them are translated from the start without gaps
+    const translated = new Array(cues.length).fill(false);
+    let translatedPrefix = 0;
     
-    console.log(`Split into ${batches.length} batches for translation`);
+    // Key each cue by its position in the timeline. Tags are masked out of the text
+    // (see lib/placeholders.js) and put back into the translation
+    const masks = new Array(cues.length).fill(null);
+    const items = [];
     
-    // Translate each batch
-    const translatedBatches = await Promise.all(batches.map(async (batch, batchIndex) => {
-      // Extract text from cues
-      const textsToTranslate = batch.map(cue => cue.text);
-      
-      // Prepare the prompt for Gemini
-      const prompt = `Translate the following subtitles from ${getLanguageName(sourceLang)} to ${getLanguageName(targetLang)}. 
-Keep the same meaning and tone. Return ONLY the translations in order, one per line, with no additional text:
-
-${textsToTranslate.join('\n---\n')}`;
-      
-      console.log(`Translating batch ${batchIndex + 1}/${batches.length}`);
-      
-      // Call the Gemini API
-      const response = await axios.post(
-        `https://generativelanguage.googleapis.com/v1/models/gemini-1.5-pro:generateContent`,
-        {
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.2,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 8192,
-          }
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-goog-api-key': process.env.GEMINI_API_KEY
-          }
-        }
-      );
-      
-      // Check if the response is valid
-      if (!response.data || !response.data.candidates || !response.data.candidates[0] || !response.data.candidates[0].content) {
-        console.error('Invalid response from Gemini API:', response.data);
-        throw new Error('Invalid response from Gemini API');
+    cues.forEach((cue, index) => {
+      if (inPlace && isSkippedEvent(cue, document.format)) {
+        translated[index] = true;
+        return;
       }
       
-      // Extract the translated text
-      const translatedText = response.data.candidates[0].content.parts[0].text;
-      
-      // Split the translated text into individual translations
-      const translations = translatedText.split('\n---\n');
-      
-      if (translations.length !== batch.length) {
-        // If the number of translations doesn't match, try a simpler split
-        const simpleSplit = translatedText.split('\n').filter(line => line.trim());
+      masks[index] = placeholders.maskTags(cue.text, document.format);
+      items.push({ id: String(index + 1), text: masks[index].text });
+    });
+    
+    console.log(`Found ${items.length} subtitle cues to translate`);
+    
+    if (items.length < cues.length) {
+      console.log(`Leaving ${cues.length - items.length} drawing, sign or skipped-style events untranslated`);
+    }
+    
+    const advancePrefix = () => {
+      while (translatedPrefix < cues.length && translated[translatedPrefix]) {
+        translatedPrefix++;
+      }
+    };
+    
+    const applyTranslation = (id, text, provider) => {
+      const cue = cues[Number(id) - 1];
+      cue.text = placeholders.restoreTags(text.trim(), masks[Number(id) - 1]);
+      cue.provider = provider;
+      translated[Number(id) - 1] = true;
+    };
+    
+    // Resume from the batches an interrupted run of this translation finished
+    const checkpoint = (await checkpointCache.get(cacheKey)) || {};
+    Object.entries(checkpoint).forEach(([id, entry]) => applyTranslation(id, entry.text, entry.provider));
+    
+    if (Object.keys(checkpoint).length > 0) {
+      console.log(`Resuming translation with ${Object.keys(checkpoint).length} of ${items.length} cues from a checkpoint`);
+    }
+    
+    // Lines translated before, in this or any other file, don't need to be sent again
+    const unfinished = items.filter(item => !checkpoint[item.id]);
+    const remembered = await translationMemory.findTranslations(unfinished, request, providers.map(getProviderLabel));
+    Object.entries(remembered).forEach(([id, memory]) => applyTranslation(id, memory.text, memory.provider));
+    advancePrefix();
+    
+    const pending = unfinished.filter(item => !remembered[item.id]);
+    console.log(`Found ${unfinished.length - pending.length} of ${unfinished.length} cues in the translation memory`);
+    
+    // Checkpoints are written one at a time, each with everything finished so far
+    let checkpointWrite = Promise.resolve();
+    const saveCheckpoint = () => {
+      checkpointWrite = checkpointWrite.then(() => checkpointCache.set(cacheKey, checkpoint));
+      return checkpointWrite;
+    };
+    
+    // Batches are sized for the first provider and adapt to how cleanly it answers
+    const batcher = batching.createAdaptiveBatcher(providers[0]);
+    let nextIndex = 0;
+    let batchCount = 0;
+    let failedBatches = 0;
+    let completedCues = items.length - pending.length;
+    
+    const reportProgress = () => {
+      if (onProgress) {
+        // Partial results are served as WebVTT
+        const translatedCues = cues.slice(0, translatedPrefix);
+        
+        onProgress({
+          completed: completedCues,
+          total: items.length,
+          translatedCues: inPlace ? subtitleFormats.convertDocument({ ...document, cues: translatedCues }, 'vtt').cues : translatedCues,
+          endTime,
+          header: inPlace ? null : document.header
+        });
+      }
+    };
+    
+    const translateNextBatches = async () => {
+      while (nextIndex < pending.length) {
+        const batch = batcher.next(pending, nextIndex, batchCount === 0 ? FIRST_BATCH_SIZE : Infinity);
+        nextIndex += batch.length;
+        batchCount++;
+        
+        console.log(`Translating batch ${batchCount}: cues ${batch[0].id}-${batch[batch.length - 1].id} of ${items.length} (batch size ${batcher.size})`);
         
-        if (simpleSplit.length >= batch.length) {
-          return simpleSplit.slice(0, batch.length);
+        const result = await translateBatchWithFallback(batch, request, providers);
+        
+        if (result.clean) {
+          batcher.recordClean();
+        } else {
+          batcher.recordProblem();
         }
         
-        console.warn(`Translation count mismatch: got ${translations.length}, expected ${batch.length}`);
-        // Return the original texts if we can't match them
-        return textsToTranslate;
-      }
-      
-      return translations;
-    }));
-    
-    // Apply translations to the cues
-    let translatedCueIndex = 0;
-    translatedBatches.forEach(batchTranslations => {
-      batchTranslations.forEach(translation => {
-        if (translatedCueIndex < cues.length) {
-          cues[translatedCueIndex].text = translation.trim();
-          translatedCueIndex++;
+        // Remember each provider's cues under its own label. Translations that lost placeholders
+        // were only settled for, so they are used here but not reused for other files
+        for (const provider of new Set(result.providers.filter(Boolean))) {
+          const indexes = batch.map((item, index) => index)
+            .filter(index => result.providers[index] === provider && !result.settled[index]);
+          await translationMemory.remember(
+            indexes.map(index => batch[index]),
+            indexes.map(index => result.translations[index]),
+            request,
+            getProviderLabel(provider)
+          );
         }
-      });
-    });
+        
+        if (result.providers.includes(null)) {
+          failedBatches++;
+        }
+        
+        // Apply translations to the cues, recording which provider translated each one
+        batch.forEach((item, index) => {
+          const provider = result.providers[index] ? getProviderLabel(result.providers[index]) : 'untranslated';
+          applyTranslation(item.id, result.translations[index], provider);
+          
+          // Failed cues stay out of the checkpoint, so a resumed run tries them again
+          if (result.providers[index]) {
+            checkpoint[item.id] = { text: result.translations[index], provider };
+          }
+        });
+        
+        if (result.providers.some(Boolean)) {
+          await saveCheckpoint();
+        }
+        
+        // Batches finish out of order, only report the part of the timeline that is complete
+        advancePrefix();
+        
+        completedCues += batch.length;
+        reportProgress();
+      }
+    };
+    
+    reportProgress();
+    
+    // Run a few batches in parallel; each worker picks up the next batch when it's done
+    const workers = Array.from({ length: BATCH_CONCURRENCY }, () => translateNextBatches());
+    await Promise.all(workers);
+    
+    console.log(`Translated ${pending.length} cues in ${batchCount} batches`);
     
-    // Convert back to VTT
-    const translatedContent = convertCuesToVTT(cues);
+    // Write the translation out in the document's format, with its cues in their original order
+    const translatedContent = serializeTranslation(document.cues, document.header, document.format);
     
-    // Cache the translation
-    translationCache.set(cacheKey, translatedContent);
+    // Only cache complete translations, so failed batches are retried next time
+    await checkpointWrite;
+    if (failedBatches === 0) {
+      await translationCache.set(cacheKey, translatedContent);
+      await checkpointCache.delete(cacheKey);
+      return { content: translatedContent, status: TRANSLATION_STATUS.COMPLETE };
+    }
+    
+    console.warn(`${failedBatches}/${batchCount} batches could not be translated by any provider`);
     
-    return translatedContent;
+    const untranslatedCount = items.filter(item => cues[Number(item.id) - 1].provider === 'untranslated').length;
+    const status = untranslatedCount < items.length ? TRANSLATION_STATUS.PARTIAL : TRANSLATION_STATUS.UNTRANSLATED;
+    return { content: translatedContent, status };
   } catch (error) {
     console.error('Error translating subtitle:', error);
     
     // Return the original content if translation fails
-    return content;
+    return { content, status: TRANSLATION_STATUS.UNTRANSLATED };
+  }
+}
+
+/**
+ * Translate subtitle content using the configured translation providers, reporting how much got translated
+ * Each batch is sent to the first provider in the chain and fails over to the next one on error.
+ * Concurrent requests for the same translation share one run instead of each paying for it
+ * @param {string} content - The subtitle content to translate
+ * @param {string} sourceLang - The source language code
+ * @param {string} targetLang - The target language code
+ * @param {Object} options - Additional options
+ * @param {string} options.style - Translation style ('natural' or 'literal')
+ * @param {Array<string>|string} options.providers - Provider chain (defaults to TRANSLATION_PROVIDERS)
+ * @param {Function} options.onProgress - Called after each batch with { completed, total, translatedCues, endTime, header },
+ *   where translatedCues are the cues translated so far from the start of the timeline without gaps,
+ *   endTime is the end of the last cue in milliseconds and header the WebVTT header to serve them with
+ *   (see serializeTranslation)
+ * @returns {Promise<Object>} - { content, status }: content is the translated subtitle content (ASS/SSA for
+ *   ASS/SSA sources, WebVTT otherwise, the original content when nothing could be translated) and status
+ *   one of TRANSLATION_STATUS
+ */
+async function translateSubtitleWithStatus(content, sourceLang, targetLang, options = {}) {
+  const style = styleInstructions[options.style] ? options.style : 'natural';
+  
+  // Keep only the providers that can handle this language pair
+  const providers = translationProviders.getProviderChain(options.providers)
+    .filter(provider => translationProviders.supportsLanguagePair(provider, sourceLang, targetLang));
+  
+  if (providers.length === 0) {
+    console.error(`No configured translation provider supports ${sourceLang} -> ${targetLang}`);
+    return { content, status: TRANSLATION_STATUS.UNTRANSLATED };
   }
+  
+  const chainName = providers.map(getProviderLabel).join(',');
+  console.log(`Translating subtitle from ${sourceLang} to ${targetLang} (${style}) with ${chainName}`);
+  
+  // Generate a cache key based on content hash, languages, style, providers with their models and prompt version
+  const contentHash = require('crypto').createHash('md5').update(content).digest('hex');
+  const cacheKey = `${contentHash}_${sourceLang}_${targetLang}_${style}_${chainName}_v${PROMPT_VERSION}`;
+  
+  // Join a run of the same translation that is already in progress
+  const running = inFlight.get(cacheKey);
+  if (running) {
+    console.log('Joining translation already in progress');
+    
+    if (options.onProgress) {
+      running.listeners.push(options.onProgress);
+      if (running.lastProgress) {
+        options.onProgress(running.lastProgress);
+      }
+    }
+    
+    return running.promise;
+  }
+  
+  const flight = {
+    listeners: options.onProgress ? [options.onProgress] : [],
+    lastProgress: null
+  };
+  
+  const reportProgress = progress => {
+    flight.lastProgress = progress;
+    flight.listeners.forEach(listener => listener(progress));
+  };
+  
+  flight.promise = runTranslation(content, sourceLang, targetLang, style, providers, cacheKey, reportProgress)
+    .finally(() => inFlight.delete(cacheKey));
+  
+  inFlight.set(cacheKey, flight);
+  return flight.promise;
+}
+
+/**
+ * Translate subtitle content using the configured translation providers
+ * Takes the same arguments as translateSubtitleWithStatus; cues that could not be translated,
+ * or the whole file, are returned as they were
+ * @param {string} content - The subtitle content to translate
+ * @param {string} sourceLang - The source language code
+ * @param {string} targetLang - The target language code
+ * @param {Object} options - Additional options (see translateSubtitleWithStatus)
+ * @returns {Promise<string>} - The translated subtitle content: ASS/SSA for ASS/SSA sources, WebVTT otherwise
+ */
+async function translateSubtitle(content, sourceLang, targetLang, options = {}) {
+  const result = await translateSubtitleWithStatus(content, sourceLang, targetLang, options);
+  return result.content;
 }
 
 module.exports = {
+  languageMap,
   getLanguageName,
-  translateSubtitle
+  serializeTranslation,
+  TRANSLATION_STATUS,
+  translateBatchWithFallback,
+  translateSubtitle,
+  translateSubtitleWithStatus
 };
@@ -13,6 +13,8 @@ const readFile = util.promisify(fs.readFile);
 const writeFile = util.promisify(fs.writeFile);
 const mkdir = util.promisify(fs.mkdir);
 const access = util.promisify(fs.access);
+const rename = util.promisify(fs.rename);
+const unlink = util.promisify(fs.unlink);
 
 /**
  * Generates a hash from a string
@@ -181,6 +183,77 @@ function parseImdbId(id) {
   return null;
 }
 
+/**
+ * Parses a Stremio media ID
+ * Movies are plain IMDb IDs (tt1234567) and series episodes add season and episode
+ * (tt1234567:1:5); TMDB IDs follow the same pattern (tmdb:1399:1:5). Anime catalogs
+ * number episodes per entry instead of per season (kitsu:1376:3, anilist:1535:3, mal:1535:3)
+ * @param {string} mediaId - Stremio media ID
+ * @returns {Object} - { id, source, sourceId, imdbId, season, episode, isEpisode }
+ */
+function parseMediaId(mediaId) {
+  const parts = String(mediaId).split(':');
+  const toNumber = value => (value !== undefined && /^\d+$/.test(value) ? parseInt(value, 10) : null);
+  const prefix = parts[0].toLowerCase();
+  
+  const parsed = {
+    id: mediaId,
+    source: 'unknown',
+    sourceId: null,
+    imdbId: null,
+    season: null,
+    episode: null,
+    isEpisode: false
+  };
+  
+  if (parseImdbId(parts[0])) {
+    parsed.source = 'imdb';
+    parsed.imdbId = parseImdbId(parts[0]);
+    parsed.sourceId = parsed.imdbId;
+    parsed.season = toNumber(parts[1]);
+    parsed.episode = toNumber(parts[2]);
+  } else if (prefix === 'tmdb') {
+    parsed.source = 'tmdb';
+    parsed.sourceId = parts[1] || null;
+    parsed.season = toNumber(parts[2]);
+    parsed.episode = toNumber(parts[3]);
+  } else if (parts.length > 1) {
+    parsed.source = prefix;
+    parsed.sourceId = parts[1] || null;
+    parsed.episode = toNumber(parts[2]);
+  }
+  
+  parsed.isEpisode = parsed.episode !== null;
+  return parsed;
+}
+
+/**
+ * Parses the extra properties Stremio sends with a subtitles request
+ * Stremio passes them as a query string path segment (videoHash=...&videoSize=...&filename=...)
+ * @param {string|Object} extra - Extra segment or already parsed object
+ * @returns {Object} - { videoHash, videoSize, filename }, leaving out properties that are missing
+ */
+function parseStremioExtra(extra) {
+  const values = typeof extra === 'string'
+    ? Object.fromEntries(new URLSearchParams(extra.replace(/\.json$/, '')))
+    : extra || {};
+  const parsed = {};
+  
+  if (typeof values.videoHash === 'string' && /^[0-9a-f]{16}$/i.test(values.videoHash)) {
+    parsed.videoHash = values.videoHash.toLowerCase();
+  }
+  
+  if (values.videoSize !== undefined && /^\d+$/.test(String(values.videoSize))) {
+    parsed.videoSize = String(values.videoSize);
+  }
+  
+  if (typeof values.filename === 'string' && values.filename.trim()) {
+    parsed.filename = values.filename.trim();
+  }
+  
+  return parsed;
+}
+
 /**
  * Safely reads a JSON file
  * @param {string} filePath - Path to JSON file
@@ -221,6 +294,35 @@ async function writeJsonFile(filePath, data) {
   }
 }
 
+/**
+ * Writes a file atomically
+ * The content goes to a temporary file that is flushed to disk and then renamed over
+ * the target, so a crash mid-write leaves either the old file or the new one
+ * @param {string} filePath - Path of the file to write
+ * @param {string} content - Content to write
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content) {
+  await ensureDirectoryExists(path.dirname(filePath));
+  
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  
+  try {
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(content, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    
+    await rename(tempPath, filePath);
+  } catch (error) {
+    await unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
 /**
  * Formats a timestamp in SRT format (00:00:00,000)
  * @param {number} seconds - Time in seconds
@@ -281,9 +383,10 @@ function delay(ms) {
  * @param {Function} operation - Function to execute
  * @param {number} maxRetries - Maximum number of retries
  * @param {number} baseDelay - Base delay in milliseconds
+ * @param {Function} shouldRetry - Decides from the error whether another attempt makes sense
  * @returns {Promise<any>} - Result of operation
  */
-async function retryWithExponentialBackoff(operation, maxRetries = 3, baseDelay = 1000) {
+async function retryWithExponentialBackoff(operation, maxRetries = 3, baseDelay = 1000, shouldRetry = () => true) {
   let retries = 0;
   
   while (true) {
@@ -292,6 +395,10 @@ async function retryWithExponentialBackoff(operation, maxRetries = 3, baseDelay
     } catch (error) {
       retries++;
       
+      if (!shouldRetry(error)) {
+        throw error;
+      }
+      
       if (retries > maxRetries) {
         console.error(`Max retries (${maxRetries}) exceeded`);
         throw error;
@@ -310,8 +417,11 @@ module.exports = {
   downloadFile,
   convertLanguageCode,
   parseImdbId,
+  parseMediaId,
+  parseStremioExtra,
   readJsonFile,
   writeJsonFile,
+  writeFileAtomic,
   formatSrtTimestamp,
   parseSrtTimestamp,
   getSubtitleFilePath,
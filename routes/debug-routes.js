@@ -8,8 +8,17 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const axios = require('axios');
-const subtitleService = require('../lib/subtitles');
 const translationService = require('../lib/translation');
+const translationProviders = require('../lib/translation-providers');
+const scheduler = require('../lib/scheduler');
+const jobs = require('../lib/jobs');
+const diskCache = require('../lib/disk-cache');
+const translationMemory = require('../lib/translation-memory');
+const idMapping = require('../lib/id-mapping');
+const subtitleProviders = require('../lib/subtitle-providers');
+const pipeline = require('../lib/pipeline');
+const configService = require('../lib/config');
+const { parseStremioExtra } = require('../lib/utils');
 
 /**
  * Debug endpoint for direct text translation
@@ -40,8 +49,10 @@ router.post('/translate-text', async (req, res) => {
       toLang
     );
     
-    // Extract the translated text from the VTT
-    const translatedText = translatedVtt.split('\n').slice(4).join('\n').trim();
+    // Extract the translated text from the VTT (everything after the timing line)
+    const lines = translatedVtt.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    const translatedText = lines.slice(timingIndex + 1).join('\n').trim();
     
     // Return both original and translated text
     res.json({
@@ -165,7 +176,11 @@ router.get('/check-api-keys', async (req, res) => {
   if (process.env.OPENSUBTITLES_API_KEY) {
     try {
       // Try a simple search as a test
-      const testResult = await subtitleService.searchOpenSubtitles('movie', 'tt0111161');
+      const testResult = await subtitleProviders.getProvider('opensubtitles').search({
+        type: 'movie',
+        mediaId: 'tt0111161',
+        media: await idMapping.resolveMediaId('tt0111161')
+      });
       
       results.opensubtitles = {
         valid: true,
@@ -266,4 +281,112 @@ router.get('/test-gemini-api', async (req, res) => {
   }
 });
 
+/**
+ * Debug endpoint to list translation providers
+ * Returns each provider's model, configuration state and capabilities
+ */
+router.get('/providers', (req, res) => {
+  try {
+    res.json({
+      active: process.env.TRANSLATION_PROVIDER || 'gemini',
+      providers: translationProviders.describeProviders()
+    });
+  } catch (error) {
+    console.error(`Error listing translation providers: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Debug endpoint to list subtitle providers
+ * Returns each provider's capabilities, search timeout and download quota
+ */
+router.get('/subtitle-providers', (req, res) => {
+  res.json(subtitleProviders.describeProviders());
+});
+
+/**
+ * Debug endpoint to inspect the translation call schedulers
+ * Returns each provider's limits, queue length and rate-limit counters
+ */
+router.get('/scheduler', (req, res) => {
+  res.json(scheduler.getAllStats());
+});
+
+/**
+ * Debug endpoint to list background translation jobs
+ * Returns each job's state and progress
+ */
+router.get('/jobs', (req, res) => {
+  res.json(jobs.listJobs());
+});
+
+/**
+ * Debug endpoint to inspect the persistent caches
+ * Returns each cache's entry count, size, limits and hit counters
+ */
+router.get('/cache', async (req, res) => {
+  try {
+    res.json(await diskCache.getAllStats());
+  } catch (error) {
+    console.error(`Error reading cache stats: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Debug endpoint to inspect the translation memory
+ * Returns the hit rate since startup and the size of each memory
+ */
+router.get('/translation-memory', (req, res) => {
+  res.json(translationMemory.getStats());
+});
+
+/**
+ * Debug endpoint to resolve a media ID
+ * Returns the IMDb/TMDB IDs, season and episode subtitle searches will use
+ */
+router.get('/resolve-id/:mediaId', async (req, res) => {
+  try {
+    res.json({
+      mediaId: req.params.mediaId,
+      resolved: await idMapping.resolveMediaId(req.params.mediaId),
+      dataset: await idMapping.getDatasetInfo()
+    });
+  } catch (error) {
+    console.error(`Error resolving media ID: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Debug endpoint to rank the candidate source subtitles of a media item
+ * Returns the top candidates with their score breakdown; takes lang, config, limit
+ * and Stremio's extras (videoHash, videoSize, filename) as query parameters
+ */
+router.get('/candidates/:type/:mediaId', async (req, res) => {
+  try {
+    const config = configService.decodeConfig(req.query.config) || configService.normalizeConfig();
+    const targetLang = req.query.lang || config.targetLanguages[0];
+    const limit = parseInt(req.query.limit, 10) || 5;
+    
+    const candidates = await pipeline.rankSourceSubtitles(req.params.type, req.params.mediaId, targetLang, config, parseStremioExtra(req.query), limit);
+    
+    res.json({
+      mediaId: req.params.mediaId,
+      targetLang,
+      candidates: candidates.map(({ subtitle, score, breakdown }) => ({
+        id: subtitle.id,
+        lang: subtitle.lang,
+        title: subtitle.title,
+        score,
+        breakdown
+      }))
+    });
+  } catch (error) {
+    console.error(`Error ranking subtitle candidates: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
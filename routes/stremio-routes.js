@@ -6,14 +6,40 @@
 const express = require('express');
 const router = express.Router();
 const addonInterface = require('../addon');
+const configService = require('../lib/config');
+const { parseStremioExtra } = require('../lib/utils');
+
+/**
+ * Get the user configuration to pass to the add-on handlers
+ * Returns an empty object when the request has no valid config segment
+ * @param {Object} req - Express request
+ * @returns {Object} - Configuration object
+ */
+function getHandlerConfig(req) {
+  return configService.decodeConfig(req.params.config) || {};
+}
 
 /**
  * Main route for the Stremio add-on manifest
- * Returns the add-on manifest in JSON format
+ * Returns the add-on manifest in JSON format, with or without a config segment
  */
-router.get('/manifest.json', (req, res) => {
+router.get(['/manifest.json', '/:config/manifest.json'], (req, res) => {
   res.setHeader('Content-Type', 'application/json');
   res.setHeader('Access-Control-Allow-Origin', '*');
+  
+  // An install URL that already carries a valid configuration doesn't need configuring again
+  if (configService.decodeConfig(req.params.config)) {
+    const manifest = {
+      ...addonInterface.manifest,
+      behaviorHints: {
+        ...addonInterface.manifest.behaviorHints,
+        configurationRequired: false
+      }
+    };
+    
+    return res.send(JSON.stringify(manifest));
+  }
+  
   res.send(JSON.stringify(addonInterface.manifest));
 });
 
@@ -117,7 +143,7 @@ router.get('/stream/:type/:id.json', (req, res) => {
  * Route for subtitle requests
  * Returns subtitle data for the specified type and id
  */
-router.get('/subtitles/:type/:id.json', (req, res) => {
+router.get(['/subtitles/:type/:id.json', '/:config/subtitles/:type/:id.json'], (req, res) => {
   const { type, id } = req.params;
   
   console.log(`Subtitle info request: ${type}/${id}`);
@@ -126,31 +152,24 @@ router.get('/subtitles/:type/:id.json', (req, res) => {
   res.setHeader('Content-Type', 'application/json');
   res.setHeader('Access-Control-Allow-Origin', '*');
   
-  // Get the subtitle handler from the addon interface
-  const handler = addonInterface.subtitles;
-  
-  if (!handler) {
-    console.error('No subtitles handler defined');
-    return res.status(404).send(JSON.stringify({ subtitles: [] }));
-  }
-  
-  // Call the handler
-  handler({ type, id }, (err, resp) => {
-    if (err) {
+  // Call the subtitles handler through the addon interface
+  addonInterface.get('subtitles', type, id, {}, getHandlerConfig(req))
+    .then(resp => {
+      console.log(`Sending subtitle response: ${JSON.stringify(resp)}`);
+      res.send(JSON.stringify(resp));
+    })
+    .catch(err => {
       console.error(`Subtitles error: ${err.message}`);
-      return res.status(500).send(JSON.stringify({ error: err.message }));
-    }
-    
-    console.log(`Sending subtitle response: ${JSON.stringify(resp)}`);
-    res.send(JSON.stringify(resp));
-  });
+      const status = err.noHandler ? 404 : 500;
+      res.status(status).send(JSON.stringify({ subtitles: [], error: err.message }));
+    });
 });
 
 /**
  * Fallback route for subtitle requests
  * This ensures that even if the specific route isn't matched, we still return our subtitle
  */
-router.get('/subtitles/:type/:id/:extra?.json', (req, res) => {
+router.get(['/subtitles/:type/:id/:extra?.json', '/:config/subtitles/:type/:id/:extra?.json'], (req, res) => {
   const { type, id } = req.params;
   
   console.log(`Fallback subtitle info request: ${type}/${id}`);
@@ -159,24 +178,20 @@ router.get('/subtitles/:type/:id/:extra?.json', (req, res) => {
   res.setHeader('Content-Type', 'application/json');
   res.setHeader('Access-Control-Allow-Origin', '*');
   
-  // Get the subtitle handler from the addon interface
-  const handler = addonInterface.subtitles;
+  // Stremio sends the video's hash, size and file name as a query string segment
+  const extra = parseStremioExtra(req.params.extra || '');
   
-  if (!handler) {
-    console.error('No subtitles handler defined');
-    return res.status(404).send(JSON.stringify({ subtitles: [] }));
-  }
-  
-  // Call the handler
-  handler({ type, id }, (err, resp) => {
-    if (err) {
+  // Call the subtitles handler through the addon interface
+  addonInterface.get('subtitles', type, id, extra, getHandlerConfig(req))
+    .then(resp => {
+      console.log(`Sending subtitle response: ${JSON.stringify(resp)}`);
+      res.send(JSON.stringify(resp));
+    })
+    .catch(err => {
       console.error(`Subtitles error: ${err.message}`);
-      return res.status(500).send(JSON.stringify({ error: err.message }));
-    }
-    
-    console.log(`Sending subtitle response: ${JSON.stringify(resp)}`);
-    res.send(JSON.stringify(resp));
-  });
+      const status = err.noHandler ? 404 : 500;
+      res.status(status).send(JSON.stringify({ subtitles: [], error: err.message }));
+    });
 });
 
 /**
@@ -4,20 +4,112 @@
  */
 
 const express = require('express');
-const router = express.Router();
+// mergeParams exposes the :config segment when mounted at /:config/subtitles
+const router = express.Router({ mergeParams: true });
 const path = require('path');
-const fs = require('fs');
 const axios = require('axios');
 const subtitleService = require('../lib/subtitles');
-const translationService = require('../lib/translation');
+const pipeline = require('../lib/pipeline');
+const jobs = require('../lib/jobs');
+const configService = require('../lib/config');
+const subtitleFormats = require('../lib/subtitle-formats');
+const { parseStremioExtra } = require('../lib/utils');
+
+// Content types of the formats translations are served in
+const CONTENT_TYPES = {
+  vtt: 'text/vtt',
+  ass: 'text/x-ssa',
+  ssa: 'text/x-ssa'
+};
+
+/**
+ * Send the translated subtitle for a media item as WebVTT, or as ASS/SSA
+ * While the background translation job is still running, a progress placeholder is sent instead.
+ * Only the target languages of the configuration are translated into
+ * @param {Object} res - Express response
+ * @param {string} mediaId - IMDb ID or Kitsu ID
+ * @param {string} targetLang - Target language code
+ * @param {Object} config - User configuration (see lib/config.js)
+ * @param {Object} extra - Extras of the Stremio request (see utils.parseStremioExtra)
+ * @param {string} format - Format to send ('vtt', 'ass' or 'ssa')
+ */
+async function sendTranslatedSubtitle(res, mediaId, targetLang, config, extra = {}, format = 'vtt') {
+  // Any other language would start a translation nobody configured
+  if (!config.targetLanguages.includes(targetLang)) {
+    console.log(`Refusing translation of ${mediaId} to unconfigured language ${targetLang}`);
+    return res.status(404).send('Language not configured');
+  }
+  
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  
+  try {
+    const type = pipeline.inferMediaType(mediaId);
+    const { content, job, finished } = await jobs.getSubtitleForRequest(type, mediaId, targetLang, config, extra, format);
+    
+    if (!finished) {
+      // Placeholders must not be cached, the next request should get the real file
+      res.setHeader('Cache-Control', 'no-store');
+      console.log(`Translation of ${mediaId} to ${targetLang} is ${job.state}, sending it uncached`);
+    }
+    
+    return res.send(content);
+  } catch (error) {
+    console.error(`Error handling translation request: ${error.message}`);
+    
+    // Even if there's an error, try to send something
+    const message = pipeline.createMessageVtt('Subtitle unavailable.');
+    return res.send(format === 'vtt' ? message : subtitleFormats.convertSubtitle(message, format));
+  }
+}
+
+/**
+ * Translation route
+ * Starts or looks up the translation job for the media and serves its result or progress
+ */
+router.get('/:mediaId/translate_:lang.vtt', async (req, res) => {
+  const { mediaId, lang } = req.params;
+  
+  console.log(`Main translation request received: ${mediaId} to ${lang}`);
+  
+  // Set CORS headers
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  
+  // Extras from the subtitles request are carried in the query string (see addon.js)
+  return sendTranslatedSubtitle(res, mediaId, lang, configService.getRequestConfig(req), parseStremioExtra(req.query));
+});
+
+/**
+ * Styled translation route
+ * Serves translations of ASS/SSA sources as ASS/SSA, with their styles and positioning,
+ * for players that render them; other translations are converted from the WebVTT
+ */
+router.get('/:mediaId/translate_:lang.:format(ass|ssa)', async (req, res) => {
+  const { mediaId, lang, format } = req.params;
+  
+  console.log(`Styled translation request received: ${mediaId} to ${lang} (${format})`);
+  
+  // Set CORS headers
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  
+  return sendTranslatedSubtitle(res, mediaId, lang, configService.getRequestConfig(req), parseStremioExtra(req.query), format);
+});
 
 /**
  * Main subtitle route that handles both regular subtitles and translation requests
  * Supports both direct subtitle retrieval and translation requests
  */
-router.get('/:mediaId/:subtitleId', async (req, res) => {
+router.get('/:mediaId/:subtitleId', async (req, res, next) => {
   const { mediaId, subtitleId } = req.params;
   
+  // Stremio's /subtitles/:type/:id.json add-on requests belong to the Stremio routes
+  if (subtitleId.endsWith('.json')) {
+    return next();
+  }
+  
   console.log(`Subtitle request: mediaId=${mediaId}, subtitleId=${subtitleId}`);
   
   // Set CORS headers
@@ -31,8 +123,8 @@ router.get('/:mediaId/:subtitleId', async (req, res) => {
       console.log('This is a translation request');
       
       // Parse the subtitle ID to get the target language
-      // Format: translate_targetLang
-      const parts = subtitleId.split('_');
+      // Format: translate_targetLang[.ext]
+      const parts = path.parse(subtitleId).name.split('_');
       
       if (parts.length < 2) {
         console.error(`Invalid translation request format: ${subtitleId}`);
@@ -43,27 +135,7 @@ router.get('/:mediaId/:subtitleId', async (req, res) => {
       
       console.log(`Translation request: targetLang=${targetLang}`);
       
-      // Set the content type to WebVTT
-      res.setHeader('Content-Type', 'text/vtt');
-      
-      // Get our dummy subtitle content
-      const dummyPath = path.join(__dirname, '..', 'public', 'dummy.vtt');
-      let content = fs.readFileSync(dummyPath, 'utf8');
-      
-      // Try to translate it
-      try {
-        content = await translationService.translateSubtitle(
-          content,
-          'en', // Source language
-          targetLang
-        );
-        console.log(`Successfully translated subtitle to ${targetLang}`);
-      } catch (translationError) {
-        console.error(`Translation error: ${translationError.message}`);
-        // Continue with original content if translation fails
-      }
-      
-      return res.send(content);
+      return sendTranslatedSubtitle(res, mediaId, targetLang, configService.getRequestConfig(req), parseStremioExtra(req.query));
     } else {
       // This is a regular subtitle request
       console.log(`Regular subtitle request: ${subtitleId}`);
@@ -93,53 +165,4 @@ router.get('/:mediaId/:subtitleId', async (req, res) => {
   }
 });
 
-/**
- * Fallback route for translation requests
- * This is used when the specific subtitle ID is not known
- */
-router.get('/:mediaId/translate_:lang.vtt', async (req, res) => {
-  const { mediaId, lang } = req.params;
-  
-  console.log(`Main translation request received: ${mediaId} to ${lang}`);
-  
-  // Set CORS headers
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  
-  // Set the content type to WebVTT
-  res.setHeader('Content-Type', 'text/vtt');
-  
-  try {
-    // Get our dummy subtitle content
-    const dummyPath = path.join(__dirname, '..', 'public', 'dummy.vtt');
-    let content = fs.readFileSync(dummyPath, 'utf8');
-    
-    // Try to translate it
-    try {
-      content = await translationService.translateSubtitle(
-        content,
-        'en', // Source language
-        lang
-      );
-      console.log(`Successfully translated subtitle to ${lang}`);
-    } catch (translationError) {
-      console.error(`Translation error: ${translationError.message}`);
-      // Continue with original content if translation fails
-    }
-    
-    return res.send(content);
-  } catch (error) {
-    console.error(`Error handling translation request: ${error.message}`);
-    
-    // Even if there's an error, try to send something
-    try {
-      const backupContent = 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:10.000\nSubtitle unavailable.';
-      return res.send(backupContent);
-    } catch (e) {
-      return res.status(500).send('Error reading subtitle file');
-    }
-  }
-});
-
 module.exports = router;
@@ -8,6 +8,11 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const { networkInterfaces } = require('os');
+const pipeline = require('../lib/pipeline');
+const jobs = require('../lib/jobs');
+const configService = require('../lib/config');
+const { parseStremioExtra } = require('../lib/utils');
+const translationService = require('../lib/translation');
 
 /**
  * Route to get the local IP address
@@ -50,6 +55,26 @@ router.get('/status', (req, res) => {
   });
 });
 
+/**
+ * Route for the configuration page
+ * Served with or without an existing config segment so Stremio's "Configure" button works
+ */
+router.get(['/configure', '/:config/configure'], (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'configure.html'));
+});
+
+/**
+ * Route for the options shown on the configuration page
+ * Returns the available languages, styles and the configuration to start from
+ */
+router.get('/configure/options', (req, res) => {
+  res.json({
+    languages: translationService.languageMap,
+    styles: configService.TRANSLATION_STYLES,
+    config: configService.decodeConfig(req.query.config) || configService.normalizeConfig()
+  });
+});
+
 /**
  * Universal fallback route for subtitle requests
  * Catches all requests that might be subtitle-related but weren't caught by specific routes
@@ -79,28 +104,37 @@ router.get('*', async (req, res, next) => {
     try {
       // Check if this is a translation request
       if (url.includes('translate_')) {
-        // Extract target language from URL
-        const langMatch = url.match(/translate_([a-z]{2})/i);
-        const targetLang = langMatch ? langMatch[1] : 'el'; // Default to Greek
+        // Extract the optional config segment, media ID and target language from URL
+        const match = url.match(/^\/(?:([^/]+)\/)?subtitles\/([^/]+)\/translate_([^/._?]+)/);
+        
+        if (!match || !configService.isValidLanguageCode(match[3])) {
+          console.log(`Universal handler could not find a media ID in: ${url}`);
+          return res.send(pipeline.createMessageVtt('Subtitle unavailable.'));
+        }
+        
+        const userConfig = configService.decodeConfig(match[1] && decodeURIComponent(match[1]))
+          || configService.normalizeConfig();
+        const mediaId = decodeURIComponent(match[2]);
+        const targetLang = match[3];
+        
+        // Only the configured languages are translated into
+        if (!userConfig.targetLanguages.includes(targetLang)) {
+          console.log(`Universal handler refused translation to unconfigured language ${targetLang}`);
+          return res.status(404).send('Language not configured');
+        }
         
-        console.log(`Universal handler detected translation request to ${targetLang}`);
+        console.log(`Universal handler detected translation request for ${mediaId} to ${targetLang}`);
         
-        // Get our dummy subtitle content
-        const dummyPath = path.join(__dirname, '..', 'public', 'dummy.vtt');
-        let content = fs.readFileSync(dummyPath, 'utf8');
+        const { content, finished } = await jobs.getSubtitleForRequest(
+          pipeline.inferMediaType(mediaId),
+          mediaId,
+          targetLang,
+          userConfig,
+          parseStremioExtra(req.query)
+        );
         
-        // Try to translate it
-        try {
-          const translationService = require('../lib/translation');
-          content = await translationService.translateSubtitle(
-            content,
-            'en', // Source language
-            targetLang
-          );
-          console.log(`Successfully translated subtitle to ${targetLang}`);
-        } catch (translationError) {
-          console.error(`Translation error in universal handler: ${translationError.message}`);
-          // Continue with original content if translation fails
+        if (!finished) {
+          res.setHeader('Cache-Control', 'no-store');
         }
         
         return res.send(content);
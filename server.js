@@ -24,6 +24,9 @@ const utilityRoutes = require('./routes/utility-routes');
 // Import services
 const subtitleService = require('./lib/subtitles');
 const translationService = require('./lib/translation');
+const translationProviders = require('./lib/translation-providers');
+const jobs = require('./lib/jobs');
+const idMapping = require('./lib/id-mapping');
 
 // Load environment variables
 if (!process.env.GEMINI_API_KEY) {
@@ -61,6 +64,7 @@ process.on('uncaughtException', (err) => {
 
 // Configure routes
 app.use('/subtitles', subtitleRoutes);
+app.use('/:config/subtitles', subtitleRoutes);
 app.use('/debug', debugRoutes);
 app.use('/', stremioRoutes);
 app.use('/', utilityRoutes);
@@ -81,7 +85,27 @@ app.listen(port, () => {
   logger.log(`Gemini API key configured: ${geminiKeyConfigured ? 'Yes' : 'No'}`);
   logger.log(`OpenSubtitles API key configured: ${openSubtitlesKeyConfigured ? 'Yes' : 'No'}`);
   
+  // Log the translation provider in use
+  try {
+    const provider = translationProviders.getProvider();
+    logger.log(`Translation provider: ${provider.name} (${provider.model}), configured: ${provider.isConfigured() ? 'Yes' : 'No'}`);
+  } catch (error) {
+    logger.error(`Translation provider error: ${error.message}`);
+  }
+  
   // Log the add-on URL
   const baseUrl = process.env.BASE_URL || `http://127.0.0.1:${port}`;
   logger.log(`Add-on URL: ${baseUrl}/manifest.json`);
+  
+  // Pick up translations that were interrupted by the last shutdown
+  jobs.resumeJobs()
+    .then(count => {
+      if (count > 0) {
+        logger.log(`Resumed ${count} unfinished translation jobs`);
+      }
+    })
+    .catch(error => logger.error(`Error resuming translation jobs: ${error.message}`));
+  
+  // Keep the anime ID mapping dataset up to date, if asked to
+  idMapping.scheduleMappingRefresh(error => logger.error(`Error refreshing anime ID mappings: ${error.message}`));
 });
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { createAddonsProvider } = require('../lib/subtitle-providers/addons');
+
+const provider = createAddonsProvider();
+
+/**
+ * Build a subtitle object as search() returns it
+ * @param {string} url - Download URL
+ * @returns {Object} - Subtitle object
+ */
+function createSubtitle(url) {
+  return { id: 'addons:test:1', provider: 'addons', download_url: url };
+}
+
+test('private addresses written as IPs are never fetched', async t => {
+  const get = t.mock.method(axios, 'get', async () => ({ status: 200, headers: {}, data: 'x' }));
+
+  for (const url of ['http://127.0.0.1/sub.srt', 'http://169.254.169.254/latest', 'http://[::1]/sub.srt', 'http://[::ffff:10.0.0.1]/sub.srt']) {
+    await assert.rejects(provider.download(createSubtitle(url)), /private address/);
+  }
+
+  assert.strictEqual(get.mock.callCount(), 0);
+});
+
+test('a redirect to a private address is refused before it is followed', async t => {
+  const get = t.mock.method(axios, 'get', async () => ({
+    status: 302,
+    headers: { location: 'http://169.254.169.254/latest/meta-data' },
+    data: ''
+  }));
+
+  await assert.rejects(provider.download(createSubtitle('http://subs.example.com/sub.srt')), /169\.254\.169\.254 is a private address/);
+  assert.strictEqual(get.mock.callCount(), 1);
+});
+
+test('redirects to public hosts are followed one hop at a time with a size limit', async t => {
+  const get = t.mock.method(axios, 'get', async url => (url.endsWith('/moved.srt')
+    ? { status: 200, headers: {}, data: 'subtitle' }
+    : { status: 301, headers: { location: '/moved.srt' }, data: '' }));
+
+  assert.strictEqual(await provider.download(createSubtitle('http://subs.example.com/sub.srt')), 'subtitle');
+  assert.deepStrictEqual(get.mock.calls.map(call => call.arguments[0]), ['http://subs.example.com/sub.srt', 'http://subs.example.com/moved.srt']);
+
+  get.mock.calls.forEach(call => {
+    assert.strictEqual(call.arguments[1].maxRedirects, 0);
+    assert.ok(call.arguments[1].maxContentLength > 0);
+  });
+});
+
+test('endless redirects give up', async t => {
+  t.mock.method(axios, 'get', async url => ({ status: 302, headers: { location: `${url}x` }, data: '' }));
+
+  await assert.rejects(provider.download(createSubtitle('http://subs.example.com/a')), /Too many redirects/);
+});
+
+test('host names that resolve to private addresses are refused', async t => {
+  const get = t.mock.method(axios, 'get', async () => ({ status: 200, headers: {}, data: 'x' }));
+  await provider.download(createSubtitle('http://localhost/sub.srt'));
+
+  const { lookup } = get.mock.calls[0].arguments[1];
+  const error = await new Promise(resolve => lookup('localhost', {}, resolve));
+  assert.match(error.message, /resolves to the private address/);
+});
+
+test('add-ons are asked with the extras of the playing video', async t => {
+  const get = t.mock.method(axios, 'get', async url => ({
+    status: 200,
+    headers: {},
+    data: url.endsWith('/manifest.json')
+      ? { id: 'org.example.subs', name: 'Example', resources: ['subtitles'], types: ['movie'], idPrefixes: ['tt'] }
+      : { subtitles: [{ id: '1', url: 'https://subs.example.com/1.srt', lang: 'eng' }] }
+  }));
+
+  const results = await provider.search({
+    type: 'movie',
+    mediaId: 'tt0133093',
+    config: { sourceAddons: ['https://extras.example.com'] },
+    extra: { videoHash: '8e245d9679d31e12', videoSize: '1234', filename: 'Movie 2020.mkv' }
+  });
+
+  assert.strictEqual(get.mock.calls[1].arguments[0],
+    'https://extras.example.com/subtitles/movie/tt0133093/videoHash=8e245d9679d31e12&videoSize=1234&filename=Movie+2020.mkv.json');
+  assert.deepStrictEqual(results.map(sub => [sub.lang, sub.format]), [['en', 'srt']]);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const batching = require('../lib/batching');
+
+/**
+ * Build cues with texts of the same length
+ * @param {number} count - Number of cues
+ * @param {number} length - Characters per text
+ * @returns {Array<Object>} - Cues as { id, text }
+ */
+function createItems(count, length = 30) {
+  return Array.from({ length: count }, (value, index) => ({ id: String(index + 1), text: 'x'.repeat(length) }));
+}
+
+test('splitIntoBatches keeps to the provider batch size', () => {
+  const provider = { capabilities: { maxBatchSize: 4 } };
+  const batches = batching.splitIntoBatches(createItems(10), provider);
+
+  assert.deepStrictEqual(batches.map(batch => batch.length), [4, 4, 2]);
+  assert.deepStrictEqual(batches.flat().map(item => item.id), createItems(10).map(item => item.id));
+});
+
+test('splitIntoBatches keeps to the output token budget', () => {
+  const provider = { capabilities: { maxBatchSize: 100, maxOutputTokens: 100 } };
+  const budget = batching.getTokenBudget(provider);
+  const batches = batching.splitIntoBatches(createItems(20), provider);
+
+  assert.strictEqual(budget, 75);
+  batches.forEach(batch => {
+    const tokens = batch.reduce((sum, item) => sum + batching.estimateCueTokens(item), 0);
+    assert.ok(tokens <= budget, `${tokens} tokens in a batch of ${batch.length}`);
+  });
+});
+
+test('splitIntoBatches sends a cue over the budget on its own', () => {
+  const provider = { capabilities: { maxBatchSize: 100, maxOutputTokens: 40 } };
+  const items = [...createItems(1), { id: '2', text: 'y'.repeat(500) }, ...createItems(1)];
+
+  assert.deepStrictEqual(batching.splitIntoBatches(items, provider).map(batch => batch.length), [1, 1, 1]);
+});
+
+test('the adaptive batcher halves after a problem and grows after clean replies', () => {
+  const provider = { capabilities: { maxBatchSize: 40, initialBatchSize: 20 } };
+  const batcher = batching.createAdaptiveBatcher(provider);
+  const items = createItems(100);
+
+  assert.strictEqual(batcher.next(items, 0).length, 20);
+  assert.strictEqual(batcher.next(items, 0, 10).length, 10);
+
+  batcher.recordProblem();
+  assert.strictEqual(batcher.size, 10);
+
+  batcher.recordClean();
+  assert.strictEqual(batcher.size, 13);
+
+  for (let i = 0; i < 10; i++) batcher.recordClean();
+  assert.strictEqual(batcher.size, 40);
+
+  for (let i = 0; i < 10; i++) batcher.recordProblem();
+  assert.strictEqual(batcher.size, 1);
+});
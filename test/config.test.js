@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const configService = require('../lib/config');
+
+test('language codes are ISO 639-1 codes with an optional region', () => {
+  ['el', 'en', 'pt-BR', 'PT-br'].forEach(code => assert.ok(configService.isValidLanguageCode(code), code));
+  ['', 'e', 'ell', 'pt-BRA', 'el.vtt', '../el', undefined, 12].forEach(code => assert.ok(!configService.isValidLanguageCode(code), String(code)));
+});
+
+test('normalizeConfig fills in defaults and drops invalid values', () => {
+  assert.deepStrictEqual(configService.normalizeConfig(), configService.DEFAULT_CONFIG);
+
+  assert.deepStrictEqual(configService.normalizeConfig({
+    targetLanguages: 'el, fr, el, bogus!',
+    sourceLanguages: [],
+    translationStyle: 'poetic',
+    sourceAddons: 'https://a.example.com/manifest.json stremio://b.example.com/ ftp://c.example.com'
+  }), {
+    targetLanguages: ['el', 'fr'],
+    sourceLanguages: ['en'],
+    translationStyle: 'natural',
+    sourceAddons: ['https://a.example.com', 'https://b.example.com']
+  });
+});
+
+test('at most ten source add-ons are kept', () => {
+  const addons = Array.from({ length: 12 }, (value, index) => `https://addon${index}.example.com`);
+
+  assert.strictEqual(configService.normalizeConfig({ sourceAddons: addons }).sourceAddons.length, 10);
+});
+
+test('configurations round-trip through the URL segment', () => {
+  const config = { targetLanguages: ['el', 'pt-BR'], sourceLanguages: ['en', 'fr'], translationStyle: 'literal', sourceAddons: [] };
+  const segment = configService.encodeConfig(config);
+
+  assert.match(segment, /^[A-Za-z0-9_-]+$/);
+  assert.deepStrictEqual(configService.decodeConfig(segment), config);
+  assert.deepStrictEqual(configService.decodeConfig(JSON.stringify(config)), config);
+});
+
+test('segments that are not a JSON object decode to null', () => {
+  [undefined, '', 'not-base64-json', Buffer.from('[1,2]').toString('base64url'), '{broken'].forEach(segment => {
+    assert.strictEqual(configService.decodeConfig(segment), null, String(segment));
+  });
+});
+
+test('requests without a valid segment get the defaults', () => {
+  assert.deepStrictEqual(configService.getRequestConfig({ params: {} }), configService.DEFAULT_CONFIG);
+  assert.deepStrictEqual(configService.getRequestConfig({ params: { config: 'nonsense' } }), configService.DEFAULT_CONFIG);
+});
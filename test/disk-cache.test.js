@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createDiskCache } = require('../lib/disk-cache');
+
+const CACHE_ROOT = path.join(__dirname, '../cache');
+
+/**
+ * Create a cache under a name no other test or server uses, removed after the test
+ * @param {Object} t - Test context
+ * @param {Object} options - Cache options (see createDiskCache)
+ * @returns {Object} - { name, dir, cache }
+ */
+function createTestCache(t, options) {
+  const name = `test-${process.pid}-${t.name.replace(/\W+/g, '-')}`;
+  const dir = path.join(CACHE_ROOT, name);
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  return { name, dir, cache: createDiskCache(name, options) };
+}
+
+test('values are stored on disk and found again by a new cache', async t => {
+  const { name, dir, cache } = createTestCache(t);
+
+  assert.strictEqual(await cache.get('missing'), undefined);
+  assert.ok(await cache.set('key', { text: 'value' }));
+  assert.deepStrictEqual(await cache.get('key'), { text: 'value' });
+
+  // The index isn't saved yet, so the entry is recovered from its file
+  const reopened = createDiskCache(name);
+  assert.deepStrictEqual(await reopened.get('key'), { text: 'value' });
+  assert.deepStrictEqual((await fs.promises.readdir(dir)).filter(file => file !== 'index.json').length, 1);
+});
+
+test('the least recently used entries are evicted past the size limit', async t => {
+  const { cache } = createTestCache(t, { maxBytes: 300 });
+  const value = 'x'.repeat(60);
+
+  await cache.set('a', value);
+  await cache.set('b', value);
+  await cache.get('a');
+  await cache.set('c', value);
+
+  assert.strictEqual(await cache.get('b'), undefined);
+  assert.strictEqual(await cache.get('a'), value);
+  assert.strictEqual(await cache.get('c'), value);
+});
+
+test('a maximum age of 0 keeps nothing', async t => {
+  const { cache } = createTestCache(t, { maxAge: 0 });
+
+  await cache.set('key', 'value');
+  assert.strictEqual(await cache.get('key'), undefined);
+});
+
+test('leftovers of interrupted writes are removed on load', async t => {
+  const { dir, cache } = createTestCache(t);
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, 'abc.json.tmp'), '{"half');
+  await fs.promises.writeFile(path.join(dir, 'def.json'), 'not json');
+
+  assert.strictEqual((await cache.getStats()).entries, 0);
+  assert.deepStrictEqual(await fs.promises.readdir(dir), []);
+});
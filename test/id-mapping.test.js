@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const idMapping = require('../lib/id-mapping');
+
+test('IMDb and TMDB IDs resolve without the dataset', async () => {
+  assert.deepStrictEqual(await idMapping.resolveMediaId('tt0903747:2:5'), {
+    imdbId: 'tt0903747',
+    tmdbId: null,
+    season: 2,
+    episode: 5,
+    absoluteEpisode: null,
+    isEpisode: true
+  });
+
+  assert.deepStrictEqual(await idMapping.resolveMediaId('tmdb:1399'), {
+    imdbId: null,
+    tmdbId: '1399',
+    season: null,
+    episode: null,
+    absoluteEpisode: null,
+    isEpisode: false
+  });
+});
+
+test('anime episodes resolve to the season of their entry', async () => {
+  // Death Note, through each anime database's ID
+  for (const mediaId of ['kitsu:1376:3', 'anilist:1535:3', 'mal:1535:3', 'anidb:4563:3']) {
+    assert.deepStrictEqual(await idMapping.resolveMediaId(mediaId), {
+      imdbId: 'tt0877057',
+      tmdbId: '13916',
+      season: 1,
+      episode: 3,
+      absoluteEpisode: 3,
+      isEpisode: true
+    }, mediaId);
+  }
+});
+
+test('anime films resolve without an episode', async () => {
+  const resolved = await idMapping.resolveMediaId('kitsu:176');
+
+  assert.strictEqual(resolved.imdbId, 'tt0245429');
+  assert.strictEqual(resolved.isEpisode, false);
+  assert.strictEqual(resolved.season, null);
+});
+
+test('IDs without a mapping resolve to null', async () => {
+  assert.strictEqual(await idMapping.resolveMediaId('kitsu:99999999:1'), null);
+  assert.strictEqual(await idMapping.resolveMediaId('unknown:1'), null);
+});
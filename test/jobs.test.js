@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jobs = require('../lib/jobs');
+const configService = require('../lib/config');
+
+const config = configService.normalizeConfig({ targetLanguages: ['el'] });
+
+test('requests for different video files of a title get jobs of their own', () => {
+  const plain = jobs.getJobKey('tt0133093', 'el', config);
+
+  assert.strictEqual(jobs.getJobKey('tt0133093', 'el', config, {}), plain);
+  assert.notStrictEqual(jobs.getJobKey('tt0133093', 'el', config, { videoHash: '8e245d9679d31e12' }), plain);
+  assert.notStrictEqual(jobs.getJobKey('tt0133093', 'el', config, { filename: 'Movie.2020.1080p.mkv' }), plain);
+});
+
+test('file names differing only in case, punctuation or extension share a job', () => {
+  assert.strictEqual(
+    jobs.getJobKey('tt0133093', 'el', config, { filename: 'Movie.2020.1080p.mkv' }),
+    jobs.getJobKey('tt0133093', 'el', config, { filename: 'movie 2020 1080p.mp4' })
+  );
+});
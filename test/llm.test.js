@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const llm = require('../lib/translation-providers/llm');
+
+test('the prompt carries every cue with its ID', () => {
+  const items = [{ id: '1', text: 'Hello' }, { id: '2', text: 'Two\nlines' }];
+  const prompt = llm.buildBatchPrompt(items, { sourceLangName: 'English', targetLangName: 'Greek', style: 'literal' });
+
+  assert.ok(prompt.includes('from English to Greek'));
+  assert.ok(prompt.includes(llm.styleInstructions.literal));
+  assert.ok(prompt.endsWith(JSON.stringify({ cues: items })));
+});
+
+test('replies are read by cue ID in every accepted shape', () => {
+  const expected = { 1: 'Γεια', 2: 'Δύο' };
+
+  assert.deepStrictEqual(llm.parseBatchResponse('{"translations":[{"id":"2","text":"Δύο"},{"id":1,"text":"Γεια"}]}'), expected);
+  assert.deepStrictEqual(llm.parseBatchResponse('[{"id":"1","text":"Γεια"},{"id":"2","text":"Δύο"}]'), expected);
+  assert.deepStrictEqual(llm.parseBatchResponse('{"1":"Γεια","2":"Δύο"}'), expected);
+  assert.deepStrictEqual(llm.parseBatchResponse('```json\n{"1":"Γεια","2":"Δύο"}\n```'), expected);
+});
+
+test('entries without an ID or text are left out', () => {
+  assert.deepStrictEqual(llm.parseBatchResponse('{"translations":[{"id":"1"},{"text":"x"},{"id":"2","text":"Δύο"}]}'), { 2: 'Δύο' });
+});
+
+test('a reply that is not JSON is marked malformed', () => {
+  assert.throws(() => llm.parseBatchResponse('Sure! Here are your translations:'), error => error.malformed === true);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const placeholders = require('../lib/placeholders');
+
+test('maskTags keeps leading and trailing tags aside and numbers the others', () => {
+  const masked = placeholders.maskTags('<v Bob>Hi <b>you</b> there</v>', 'vtt');
+
+  assert.strictEqual(masked.text, 'Hi {1}you{2} there');
+  assert.strictEqual(masked.prefix, '<v Bob>');
+  assert.strictEqual(masked.suffix, '</v>');
+  assert.deepStrictEqual(masked.tags, ['<b>', '</b>']);
+});
+
+test('maskTags masks ASS override blocks', () => {
+  const masked = placeholders.maskTags('{\\an8}Hi {\\i1}there{\\i0}!', 'ass');
+
+  assert.strictEqual(masked.text, 'Hi {1}there{2}!');
+  assert.strictEqual(masked.prefix, '{\\an8}');
+});
+
+test('restoreTags puts the tags back where the translation moved their placeholders', () => {
+  const masked = placeholders.maskTags('<i>Hi <b>you</b> there</i>', 'vtt');
+
+  assert.ok(placeholders.placeholdersMatch(masked.text, '{1}Γεια{2} εσύ'));
+  assert.strictEqual(placeholders.restoreTags('{1}Γεια{2} εσύ', masked), '<i><b>Γεια</b> εσύ</i>');
+});
+
+test('restoreTags drops placeholders that stand for no tag or repeat one', () => {
+  const masked = placeholders.maskTags('Hi <b>you</b>!', 'vtt');
+
+  assert.ok(!placeholders.placeholdersMatch(masked.text, 'Γεια {1}{1}εσύ{2}{3}!'));
+  assert.strictEqual(placeholders.restoreTags('Γεια {1}{1}εσύ{2}{3}!', masked), 'Γεια <b>εσύ</b>!');
+});
+
+test('restoreTags drops WebVTT markup when a translation loses a placeholder', () => {
+  const masked = placeholders.maskTags('<i>F</i> line 9', 'vtt');
+  assert.strictEqual(masked.text, 'F{1} line 9');
+
+  // The opener kept in the prefix would otherwise be left without its closer
+  assert.strictEqual(placeholders.restoreTags('F line 9', masked), 'F line 9');
+});
+
+test('restoreTags drops the placeholders that survived along with the lost ones', () => {
+  const masked = placeholders.maskTags('Hi <b>you</b> <i>there</i>', 'vtt');
+  assert.strictEqual(masked.text, 'Hi {1}you{2} {3}there');
+
+  assert.strictEqual(placeholders.restoreTags('Γεια {1}εσύ εκεί{3}', masked), 'Γεια εσύ εκεί');
+});
+
+test('restoreTags keeps leading and trailing WebVTT tags that pair up when a placeholder is lost', () => {
+  const italic = placeholders.maskTags('<i>Hi <b>you</b> there</i>', 'vtt');
+  assert.strictEqual(placeholders.restoreTags('Γεια {1}εσύ εκεί', italic), '<i>Γεια εσύ εκεί</i>');
+
+  const voice = placeholders.maskTags('<v Bob>Hi <b>you</b> there</v>', 'vtt');
+  assert.strictEqual(placeholders.restoreTags('Γεια {1}εσύ εκεί', voice), '<v Bob>Γεια εσύ εκεί</v>');
+
+  // A voice span may run to the end of the cue without being closed
+  const openVoice = placeholders.maskTags('<v Bob>Hi <b>you</b> there', 'vtt');
+  assert.strictEqual(placeholders.restoreTags('Γεια εσύ εκεί', openVoice), '<v Bob>Γεια εσύ εκεί');
+});
+
+test('restoreTags puts lost ASS overrides back at the start', () => {
+  const masked = placeholders.maskTags('{\\an8}Hi {\\i1}there{\\i0}!', 'ass');
+
+  assert.strictEqual(placeholders.restoreTags('Γεια εκεί{2}!', masked), '{\\an8}{\\i1}Γεια εκεί{\\i0}!');
+});
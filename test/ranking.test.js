@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ranking = require('../lib/ranking');
+
+const OPTIONS = { targetLang: 'el', sourceLanguages: ['en', 'fr'] };
+
+test('parseRelease reads the release attributes of a file name', () => {
+  assert.deepStrictEqual(ranking.parseRelease('Movie.2020.1080p.WEB-DL.DDP5.1.H.264-GROUP.mkv'), {
+    group: 'group',
+    source: 'web-dl',
+    sourceFamily: 'web',
+    resolution: 1080,
+    fps: null
+  });
+});
+
+test('a subtitle in the target language ranks first', () => {
+  const ranked = ranking.rankSubtitles([
+    { id: 'en', lang: 'en', title: 'Movie', downloads: 100000, rating: 10 },
+    { id: 'el', lang: 'el', title: 'Movie' }
+  ], OPTIONS);
+
+  assert.deepStrictEqual(ranked.map(candidate => candidate.subtitle.id), ['el', 'en']);
+});
+
+test('source languages rank in the configured order', () => {
+  const ranked = ranking.rankSubtitles([
+    { id: 'fr', lang: 'fr', title: 'Movie' },
+    { id: 'en', lang: 'en', title: 'Movie' }
+  ], OPTIONS);
+
+  assert.deepStrictEqual(ranked.map(candidate => candidate.subtitle.id), ['en', 'fr']);
+});
+
+test('languages that are neither the target nor a source language are never candidates', () => {
+  const ranked = ranking.rankSubtitles([
+    { id: 'ar', lang: 'ar', title: 'Movie', hashMatch: true, downloads: 100000, rating: 10, trusted: true },
+    { id: 'pt-BR', lang: 'pt-BR', title: 'Movie' },
+    { id: 'en', lang: 'en', title: 'Movie' }
+  ], OPTIONS);
+
+  assert.deepStrictEqual(ranked.map(candidate => candidate.subtitle.id), ['en']);
+});
+
+test('regional variants count as their configured base language', () => {
+  const ranked = ranking.rankSubtitles([
+    { id: 'fr-CA', lang: 'fr-CA', title: 'Movie' }
+  ], OPTIONS);
+
+  assert.deepStrictEqual(ranked.map(candidate => candidate.subtitle.id), ['fr-CA']);
+});
+
+test('a hash match and the release of the playing file outweigh popularity', () => {
+  const ranked = ranking.rankSubtitles([
+    { id: 'popular', lang: 'en', title: 'Movie.2020.720p.HDTV-OTHER', downloads: 100000, rating: 9 },
+    { id: 'hash', lang: 'en', title: 'Movie.2020.1080p.BluRay.x264-GRP', hashMatch: true }
+  ], { ...OPTIONS, extra: { filename: 'Movie.2020.1080p.BluRay.x264-GRP.mkv' } });
+
+  assert.strictEqual(ranked[0].subtitle.id, 'hash');
+  assert.strictEqual(ranked[0].breakdown.hashMatch, ranking.WEIGHTS.hashMatch);
+  assert.strictEqual(ranked[0].breakdown.releaseGroup, ranking.WEIGHTS.releaseGroup);
+});
+
+test('hearing impaired subtitles lose points', () => {
+  const plain = ranking.scoreSubtitle({ lang: 'en', title: 'Movie' }, { ...OPTIONS, video: ranking.parseRelease('') });
+  const impaired = ranking.scoreSubtitle({ lang: 'en', title: 'Movie', hearingImpaired: true }, { ...OPTIONS, video: ranking.parseRelease('') });
+
+  assert.strictEqual(impaired.score - plain.score, ranking.WEIGHTS.hearingImpaired);
+});
+
+test('counts that are not numbers add nothing to the score', () => {
+  const context = { ...OPTIONS, video: ranking.parseRelease('') };
+  const plain = ranking.scoreSubtitle({ lang: 'en', title: 'Movie' }, context);
+  const broken = ranking.scoreSubtitle({ lang: 'en', title: 'Movie', rating: Infinity, downloads: NaN }, context);
+
+  assert.strictEqual(broken.score, plain.score);
+  assert.ok(Number.isFinite(broken.score));
+});
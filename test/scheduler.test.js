@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const scheduler = require('../lib/scheduler');
+const { delay } = require('../lib/utils');
+
+test('limits come from the provider, then the shared setting, and 0 means unlimited', t => {
+  t.after(() => {
+    delete process.env.TRANSLATION_RPM;
+    delete process.env.LIMITED_RPM;
+    delete process.env.LIMITED_CONCURRENCY;
+  });
+
+  assert.deepStrictEqual(scheduler.getLimits('limited'), { concurrency: 4, requestsPerMinute: Infinity, tokensPerMinute: Infinity });
+
+  process.env.TRANSLATION_RPM = '60';
+  process.env.LIMITED_CONCURRENCY = '0';
+  assert.deepStrictEqual(scheduler.getLimits('limited'), { concurrency: Infinity, requestsPerMinute: 60, tokensPerMinute: Infinity });
+
+  process.env.LIMITED_RPM = '10';
+  assert.strictEqual(scheduler.getLimits('limited').requestsPerMinute, 10);
+});
+
+test('the wait a rate-limited reply asks for is read from Retry-After or Gemini\'s RetryInfo', () => {
+  assert.strictEqual(scheduler.getRetryAfterMs({ response: { headers: { 'retry-after': '3' } } }), 3000);
+
+  const date = new Date(Date.now() + 10000).toUTCString();
+  const fromDate = scheduler.getRetryAfterMs({ response: { headers: { 'retry-after': date } } });
+  assert.ok(fromDate > 8000 && fromDate <= 10000, String(fromDate));
+
+  const gemini = { response: { data: { error: { details: [{ '@type': 'RetryInfo', retryDelay: '1.5s' }] } } } };
+  assert.strictEqual(scheduler.getRetryAfterMs(gemini), 1500);
+
+  assert.strictEqual(scheduler.getRetryAfterMs(new Error('offline')), null);
+});
+
+test('calls beyond the concurrency limit wait, and jobs take turns', async t => {
+  process.env.SERIAL_CONCURRENCY = '1';
+  t.after(() => delete process.env.SERIAL_CONCURRENCY);
+
+  const serial = scheduler.getScheduler('serial');
+  const order = [];
+  let running = 0;
+  let mostRunning = 0;
+
+  const call = name => serial.schedule(async () => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    order.push(name);
+    await delay(10);
+    running--;
+    return name;
+  }, { jobId: name[0] });
+
+  const results = await Promise.all([call('a1'), call('a2'), call('a3'), call('b1')]);
+
+  assert.deepStrictEqual(results, ['a1', 'a2', 'a3', 'b1']);
+  assert.strictEqual(mostRunning, 1);
+
+  // b1 doesn't wait for all of job a
+  assert.deepStrictEqual(order, ['a1', 'a2', 'b1', 'a3']);
+});
+
+test('a rate-limited call is paused for as long as asked and then retried', async () => {
+  const retrying = scheduler.getScheduler('retrying');
+  let attempts = 0;
+
+  const started = Date.now();
+  const result = await retrying.schedule(async () => {
+    attempts++;
+    if (attempts === 1) {
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, headers: { 'retry-after': '0.05' } };
+      throw error;
+    }
+    return 'ok';
+  });
+
+  assert.strictEqual(result, 'ok');
+  assert.strictEqual(attempts, 2);
+  assert.ok(Date.now() - started >= 50);
+  assert.strictEqual(retrying.getStats().rateLimited, 1);
+});
+
+test('other errors are passed on without a retry and not marked as rate limited', async () => {
+  const failing = scheduler.getScheduler('failing');
+  let attempts = 0;
+
+  await assert.rejects(failing.schedule(async () => {
+    attempts++;
+    const error = new Error('Request failed with status code 400');
+    error.response = { status: 400, headers: {} };
+    throw error;
+  }), error => error.rateLimited === false);
+
+  assert.strictEqual(attempts, 1);
+});
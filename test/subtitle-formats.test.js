@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const subtitleFormats = require('../lib/subtitle-formats');
+
+// Longest a frame lasts at the lowest frame rate MicroDVD files use
+const MAX_DRIFT_MS = 42;
+
+// One file per format, each written the way the format's serializer writes it
+const SAMPLES = {
+  srt: [
+    '1',
+    '00:00:01,000 --> 00:00:02,500',
+    '<i>Hello</i> there',
+    'second line',
+    '',
+    '2',
+    '00:00:03,000 --> 00:00:04,000 X1:10 X2:20 Y1:5 Y2:6',
+    '{\\an8}Top & more',
+    ''
+  ].join('\n'),
+  vtt: [
+    'WEBVTT - Test file',
+    'Kind: captions',
+    '',
+    'STYLE',
+    '::cue { color: yellow }',
+    '',
+    'NOTE header note',
+    '',
+    'intro',
+    '00:00:01.000 --> 00:00:02.500 align:start line:0',
+    '<v Bob>Hello</v> &amp; <i>welcome</i>',
+    '',
+    'NOTE',
+    'between cues',
+    '',
+    '00:00:03.000 --> 00:00:04.000',
+    '<c.yellow>Line</c> <00:00:03.500>two',
+    ''
+  ].join('\n'),
+  ass: [
+    '[Script Info]',
+    '; Script generated by Aegisub',
+    'Title: Test',
+    'ScriptType: v4.00+',
+    'PlayResX: 1920',
+    'PlayResY: 1080',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    'Style: Default,Arial,48,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,2,2,10,10,10,1',
+    'Style: Sign,Arial,40,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,2,8,10,10,10,1',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    'Comment: 0,0:00:00.00,0:00:00.00,Default,,0,0,0,,Opening',
+    'Dialogue: 0,0:00:01.00,0:00:02.50,Default,Bob,0,0,0,,{\\i1}Hello{\\i0}, there\\Nsecond, line',
+    'Dialogue: 1,0:00:03.00,0:00:04.00,Sign,,0,0,0,,{\\an8\\pos(960,100)\\c&H0000FF&}Red sign',
+    'Dialogue: 0,0:00:05.00,0:00:06.00,Sign,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100{\\p0}',
+    'Dialogue: 0,0:00:07.00,0:00:08.00,Default,,0,0,0,,{\\k20}Ka{\\k30}ra{\\k25}oke',
+    '',
+    '[Fonts]',
+    'fontname: x.ttf',
+    ''
+  ].join('\n'),
+  sbv: [
+    '0:00:01.000,0:00:02.500',
+    'Hello there',
+    'second line',
+    '',
+    '0:00:03.000,0:00:04.000',
+    'Next',
+    ''
+  ].join('\n'),
+  microdvd: [
+    '{1}{1}25',
+    '{25}{62}{y:i}Hello there|second line',
+    '{75}{100}Next',
+    ''
+  ].join('\n'),
+  ttml: [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling">',
+    '  <body>',
+    '    <div>',
+    '      <p begin="00:00:01.000" end="00:00:02.500"><span tts:fontStyle="italic">Hello</span> there<br/>second &amp; line</p>',
+    '      <p begin="3s" dur="1000ms">Next</p>',
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    ''
+  ].join('\n')
+};
+
+Object.entries(SAMPLES).forEach(([format, content]) => {
+  test(`${format} is detected and written back unchanged`, () => {
+    assert.strictEqual(subtitleFormats.detectFormat(content), format);
+
+    const document = subtitleFormats.parseSubtitle(content);
+    assert.strictEqual(subtitleFormats.serializeSubtitle(document), content);
+  });
+
+  test(`${format} keeps its cue times through WebVTT and back`, () => {
+    const document = subtitleFormats.parseSubtitle(content);
+    const converted = subtitleFormats.parseSubtitle(subtitleFormats.convertSubtitle(content, 'vtt'));
+    const back = subtitleFormats.parseSubtitle(subtitleFormats.convertSubtitle(subtitleFormats.serializeSubtitle(converted), format));
+
+    const visible = document.cues.filter(cue => subtitleFormats.toBasicMarkup(cue.text, format).trim());
+    assert.strictEqual(back.cues.length, visible.length);
+
+    // MicroDVD counts frames, so its times only survive to the nearest frame
+    back.cues.forEach((cue, index) => {
+      assert.ok(Math.abs(cue.start - visible[index].start) <= MAX_DRIFT_MS, `start of cue ${index + 1}`);
+      assert.ok(Math.abs(cue.end - visible[index].end) <= MAX_DRIFT_MS, `end of cue ${index + 1}`);
+    });
+  });
+});
+
+test('SRT cues without numbers are detected and parsed', () => {
+  const content = '00:00:01,000 --> 00:00:02,000\nHello\n\n00:00:03,000 --> 00:00:04,000\nWorld\n';
+
+  assert.strictEqual(subtitleFormats.detectFormat(content), 'srt');
+  assert.deepStrictEqual(subtitleFormats.parseSubtitle(content).cues.map(cue => cue.text), ['Hello', 'World']);
+});
+
+test('converting to WebVTT keeps basic markup and places positioned cues', () => {
+  const vtt = subtitleFormats.parseSubtitle(subtitleFormats.convertSubtitle(SAMPLES.srt, 'vtt'));
+
+  assert.strictEqual(vtt.cues[0].text, '<i>Hello</i> there\nsecond line');
+  assert.strictEqual(vtt.cues[1].text, 'Top &amp; more');
+  assert.deepStrictEqual(vtt.cues[1].data, { settings: 'line:0' });
+
+  const fromAss = subtitleFormats.parseSubtitle(subtitleFormats.convertSubtitle(SAMPLES.ass, 'vtt'));
+  assert.strictEqual(fromAss.cues[1].text, '<c.red>Red sign</c>');
+  assert.deepStrictEqual(fromAss.cues[1].data, { settings: 'line:0' });
+});
+
+test('escaped angle brackets in WebVTT stay text in other formats', () => {
+  const content = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nSecond &amp; &lt;third&gt; <i>it</i>\n';
+  const ass = subtitleFormats.parseSubtitle(subtitleFormats.convertSubtitle(content, 'ass'));
+
+  assert.strictEqual(ass.cues[0].text, 'Second & <third> {\\i1}it{\\i0}');
+  assert.strictEqual(subtitleFormats.parseSubtitle(subtitleFormats.convertSubtitle(content, 'srt')).cues[0].text, 'Second & <third> <i>it</i>');
+});
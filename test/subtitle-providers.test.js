@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+const subtitleFormats = require('../lib/subtitle-formats');
+const { createSubDLProvider } = require('../lib/subtitle-providers/subdl');
+const { createOpenSubtitlesProvider } = require('../lib/subtitle-providers/opensubtitles');
+const { createLocalProvider } = require('../lib/subtitle-providers/local');
+
+// 'Γεια' in Windows-1253 and 'Привет' in Windows-1251
+const GREEK_1253 = Buffer.from([0xC3, 0xE5, 0xE9, 0xE1]);
+const RUSSIAN_1251 = Buffer.from([0xCF, 0xF0, 0xE8, 0xE2, 0xE5, 0xF2]);
+
+/**
+ * Build an SRT file around a text
+ * @param {Buffer} text - Encoded cue text
+ * @returns {Buffer} - SRT file
+ */
+function createSrt(text) {
+  return Buffer.concat([Buffer.from('1\n00:00:01,000 --> 00:00:02,000\n'), text, Buffer.from('\n')]);
+}
+
+test('UTF-8 files and files with a byte order mark decode as they are', () => {
+  assert.strictEqual(subtitleFormats.decodeContent(Buffer.from('Γεια'), 'el'), 'Γεια');
+  assert.strictEqual(subtitleFormats.decodeContent(Buffer.from('\uFEFFΓεια'), 'el'), 'Γεια');
+  assert.strictEqual(subtitleFormats.decodeContent(Buffer.from('\uFEFFΓεια', 'utf16le'), 'el'), 'Γεια');
+});
+
+test('files that are not UTF-8 decode with the code page of their language', () => {
+  assert.strictEqual(subtitleFormats.decodeContent(GREEK_1253, 'el'), 'Γεια');
+  assert.strictEqual(subtitleFormats.decodeContent(RUSSIAN_1251, 'ru'), 'Привет');
+  assert.strictEqual(subtitleFormats.decodeContent(Buffer.from([0x43, 0x61, 0x66, 0xE9]), 'fr'), 'Café');
+});
+
+test('SubDL archives are decoded by language and give the episode of a season pack', async t => {
+  const zip = new AdmZip();
+  zip.addFile('Show.S01E01.srt', createSrt(Buffer.from('first')));
+  zip.addFile('Show.S01E02.srt', createSrt(GREEK_1253));
+  zip.addFile('readme.txt', Buffer.from('not a subtitle'));
+
+  const get = t.mock.method(axios, 'get', async () => ({ data: zip.toBuffer() }));
+  const provider = createSubDLProvider({ apiKey: 'key' });
+  const content = await provider.download({ download_url: '/subtitle/1.zip', lang: 'el', season: 1, episode: 2 });
+
+  assert.match(content, /Γεια/);
+  assert.strictEqual(get.mock.calls[0].arguments[0], 'https://dl.subdl.com/subtitle/1.zip');
+  assert.ok(get.mock.calls[0].arguments[1].timeout > 0);
+});
+
+test('SubDL results get ISO 639-1 language codes', async t => {
+  t.mock.method(axios, 'get', async () => ({
+    data: {
+      status: true,
+      subtitles: [
+        { url: '/subtitle/1.zip', language: 'BR_PT', release_name: 'Movie.2020.1080p', hi: 1 },
+        { url: '/subtitle/2.zip', language: 'EN', release_name: 'Movie.2020.720p' },
+        { language: 'EN' }
+      ]
+    }
+  }));
+
+  const provider = createSubDLProvider({ apiKey: 'key' });
+  const results = await provider.search({ media: { imdbId: 'tt0133093', tmdbId: null, season: null, episode: null, isEpisode: false } });
+
+  assert.deepStrictEqual(results.map(sub => [sub.lang, sub.hearingImpaired]), [['pt', true], ['en', false]]);
+});
+
+test('OpenSubtitles is searched with the video hash and flags the results made for that file', async t => {
+  const get = t.mock.method(axios, 'get', async () => ({
+    data: {
+      data: [
+        { attributes: { language: 'en', release: 'Movie.2020.1080p', moviehash_match: true, files: [{ file_id: 1 }] } },
+        { attributes: { language: 'en', release: 'Movie.2020.720p', files: [{ file_id: 2 }] } }
+      ]
+    }
+  }));
+
+  const provider = createOpenSubtitlesProvider({ apiKey: 'key' });
+  const results = await provider.search({
+    media: { imdbId: 'tt0133093', tmdbId: null, season: null, episode: null, isEpisode: false },
+    extra: { videoHash: '8e245d9679d31e12' }
+  });
+
+  assert.strictEqual(get.mock.calls[0].arguments[1].params.moviehash, '8e245d9679d31e12');
+  assert.deepStrictEqual(results.map(sub => sub.hashMatch), [true, false]);
+});
+
+test('OpenSubtitles downloads time out and record the remaining quota', async t => {
+  const post = t.mock.method(axios, 'post', async () => ({
+    data: { link: 'https://dl.example.com/file.srt', remaining: 4, requests: 16, reset_time_utc: '2999-01-01T00:00:00Z' }
+  }));
+  const get = t.mock.method(axios, 'get', async () => ({ data: 'subtitle' }));
+
+  const provider = createOpenSubtitlesProvider({ apiKey: 'key' });
+  assert.strictEqual(await provider.download({ download_url: 123 }), 'subtitle');
+
+  assert.ok(post.mock.calls[0].arguments[2].timeout > 0);
+  assert.ok(get.mock.calls[0].arguments[1].timeout > 0);
+  assert.deepStrictEqual(provider.getQuota(), { remaining: 4, limit: 20, resetAt: '2999-01-01T00:00:00Z' });
+});
+
+test('OpenSubtitles refuses to download once the quota is used up', async t => {
+  t.mock.method(axios, 'post', async () => ({
+    data: { link: 'https://dl.example.com/file.srt', remaining: 0, requests: 20, reset_time_utc: '2999-01-01T00:00:00Z' }
+  }));
+  t.mock.method(axios, 'get', async () => ({ data: 'subtitle' }));
+
+  const provider = createOpenSubtitlesProvider({ apiKey: 'key' });
+  await provider.download({ download_url: 123 });
+
+  await assert.rejects(provider.download({ download_url: 124 }), /quota used up/);
+});
+
+/**
+ * Create a local subtitle folder holding the given files, removed after the test
+ * @param {Object} t - Test context
+ * @param {Object} files - File content by path relative to the folder
+ * @returns {Promise<string>} - Folder path
+ */
+async function createLocalFolder(t, files) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'local-subtitles-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  for (const [relativePath, content] of Object.entries(files)) {
+    await fs.promises.mkdir(path.dirname(path.join(dir, relativePath)), { recursive: true });
+    await fs.promises.writeFile(path.join(dir, relativePath), content);
+  }
+
+  return dir;
+}
+
+test('local files are matched by the IMDb ID in their folder, season and episode', async t => {
+  const dir = await createLocalFolder(t, {
+    'The Matrix (1999) [tt0133093]/The.Matrix.en.srt': createSrt(Buffer.from('movie')),
+    'The Matrix (1999) [tt0133093]/The.Matrix.el.srt': createSrt(GREEK_1253),
+    'The Matrix (1999) [tt0133093]/The.Matrix.sub': 'VobSub picture',
+    'The Matrix (1999) [tt0133093]/The.Matrix.idx': 'VobSub index',
+    'Game of Thrones [tt0944947]/Season 1/Game.of.Thrones.S01E02.fr.srt': createSrt(Buffer.from('episode'))
+  });
+  const provider = createLocalProvider({ dir, rescanMinutes: 0 });
+
+  const movie = await provider.search({ media: { imdbId: 'tt0133093', season: null, episode: null, isEpisode: false } });
+  assert.deepStrictEqual(movie.map(sub => sub.lang).sort(), ['el', 'en']);
+
+  const greek = movie.find(sub => sub.lang === 'el');
+  assert.match(await provider.download(greek), /Γεια/);
+
+  const episode = await provider.search({ media: { imdbId: 'tt0944947', season: 1, episode: 2, isEpisode: true } });
+  assert.deepStrictEqual(episode.map(sub => [sub.lang, sub.download_url]), [['fr', path.join('Game of Thrones [tt0944947]', 'Season 1', 'Game.of.Thrones.S01E02.fr.srt')]]);
+
+  const otherEpisode = await provider.search({ media: { imdbId: 'tt0944947', season: 1, episode: 3, isEpisode: true } });
+  assert.deepStrictEqual(otherEpisode, []);
+});
+
+test('local files named only by release are matched by catalog title and year', async t => {
+  const dir = await createLocalFolder(t, {
+    'The.Matrix.1999.1080p.BluRay.x264.de.srt': createSrt(Buffer.from('release')),
+    'The.Matrix.Reloaded.2003.1080p.de.srt': createSrt(Buffer.from('sequel'))
+  });
+  const get = t.mock.method(axios, 'get', async () => ({ data: { meta: { name: 'The Matrix', year: '1999' } } }));
+  const provider = createLocalProvider({ dir, rescanMinutes: 0 });
+
+  const results = await provider.search({ media: { imdbId: 'tt0133093', season: null, episode: null, isEpisode: false } });
+
+  assert.deepStrictEqual(results.map(sub => sub.download_url), ['The.Matrix.1999.1080p.BluRay.x264.de.srt']);
+  assert.match(get.mock.calls[0].arguments[0], /\/movie\/tt0133093\.json$/);
+});
+
+test('local downloads can\'t leave the folder', async t => {
+  const dir = await createLocalFolder(t, {});
+  const provider = createLocalProvider({ dir, rescanMinutes: 0 });
+
+  await assert.rejects(provider.download({ download_url: '../outside.srt', lang: 'en' }), /outside the local folder/);
+});
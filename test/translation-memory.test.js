@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const translationMemory = require('../lib/translation-memory');
+
+// Labels no saved memory uses, so every test starts from an empty memory
+const LABEL = `test-${process.pid}/model`;
+const OTHER_LABEL = `test-${process.pid}/other`;
+
+const REQUEST = { sourceLang: 'en', targetLang: 'el', style: 'natural' };
+
+test('lines match regardless of whitespace and line breaks', () => {
+  assert.strictEqual(translationMemory.normalizeLine('  Hello,\nworld!  '), 'Hello, world!');
+  assert.strictEqual(translationMemory.normalizeLine(undefined), '');
+});
+
+test('remembered lines are found again, re-wrapped or not', async () => {
+  await translationMemory.remember(
+    [{ id: 1, text: 'Hello,\nworld!' }, { id: 2, text: 'Goodbye.' }, { id: 3, text: 'Unused.' }],
+    ['Γεια σου,\nκόσμε!', 'Αντίο.', '  '],
+    REQUEST,
+    LABEL
+  );
+
+  const found = await translationMemory.findTranslations(
+    [{ id: 10, text: 'Hello, world!' }, { id: 11, text: 'Goodbye.' }, { id: 12, text: 'Unused.' }],
+    REQUEST,
+    [LABEL]
+  );
+
+  assert.deepStrictEqual(found, {
+    10: { text: 'Γεια σου,\nκόσμε!', provider: LABEL },
+    11: { text: 'Αντίο.', provider: LABEL }
+  });
+});
+
+test('memories are kept apart by language pair and style', async () => {
+  await translationMemory.remember([{ id: 1, text: 'Apart.' }], ['Χωριστά.'], REQUEST, LABEL);
+
+  const items = [{ id: 1, text: 'Apart.' }];
+  assert.deepStrictEqual(await translationMemory.findTranslations(items, { ...REQUEST, style: 'literal' }, [LABEL]), {});
+  assert.deepStrictEqual(await translationMemory.findTranslations(items, { ...REQUEST, targetLang: 'fr' }, [LABEL]), {});
+});
+
+test('the first provider in the chain that knows a line wins', async () => {
+  await translationMemory.remember([{ id: 1, text: 'Both.' }, { id: 2, text: 'Other only.' }], ['Πρώτο.', 'Μόνο.'], REQUEST, OTHER_LABEL);
+  await translationMemory.remember([{ id: 1, text: 'Both.' }], ['Προτιμώμενο.'], REQUEST, LABEL);
+
+  const found = await translationMemory.findTranslations(
+    [{ id: 1, text: 'Both.' }, { id: 2, text: 'Other only.' }, { id: 3, text: 'Nobody.' }],
+    REQUEST,
+    [LABEL, OTHER_LABEL]
+  );
+
+  assert.deepStrictEqual(found, {
+    1: { text: 'Προτιμώμενο.', provider: LABEL },
+    2: { text: 'Μόνο.', provider: OTHER_LABEL }
+  });
+
+  const stats = translationMemory.getStats();
+  assert.ok(stats.hits >= 2 && stats.misses >= 1);
+  assert.ok(stats.memories.some(memory => memory.key.includes(LABEL)));
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const translationProviders = require('../lib/translation-providers');
+const { createOpenAICompatibleProvider } = require('../lib/translation-providers/openai');
+
+test('request timeouts come from the provider, then the global setting, then the default', t => {
+  t.after(() => {
+    delete process.env.OLLAMA_TIMEOUT_MS;
+    delete process.env.TRANSLATION_TIMEOUT_MS;
+  });
+
+  assert.strictEqual(translationProviders.getRequestTimeout('ollama'), 120000);
+
+  process.env.TRANSLATION_TIMEOUT_MS = '30000';
+  assert.strictEqual(translationProviders.getRequestTimeout('ollama'), 30000);
+
+  process.env.OLLAMA_TIMEOUT_MS = '600000';
+  assert.strictEqual(translationProviders.getRequestTimeout('ollama'), 600000);
+  assert.strictEqual(translationProviders.getRequestTimeout('gemini'), 30000);
+});
+
+test('a provider that never answers fails once its timeout is up', async t => {
+  // Accepts the request and never replies
+  const server = http.createServer(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const provider = createOpenAICompatibleProvider({
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    apiKey: '',
+    timeout: 200
+  });
+
+  const request = { sourceLangName: 'English', targetLangName: 'Greek', style: 'natural' };
+  await assert.rejects(provider.translateBatch([{ id: '1', text: 'Hello' }], request), /timeout of 200ms exceeded/);
+});
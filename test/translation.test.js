@@ -0,0 +1,206 @@
+// A single retry, so failing providers only hold the tests up for one retry delay
+process.env.TRANSLATION_MAX_RETRIES = '1';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const translationService = require('../lib/translation');
+const translationProviders = require('../lib/translation-providers');
+const translationMemory = require('../lib/translation-memory');
+const llm = require('../lib/translation-providers/llm');
+
+const REQUEST = { sourceLang: 'en', targetLang: 'el', sourceLangName: 'English', targetLangName: 'Greek', style: 'natural' };
+
+/**
+ * Build a translation provider that answers from a function
+ * @param {string} name - Provider name
+ * @param {Function} translate - Called with each cue, returns its translation or undefined to leave it out
+ * @returns {Object} - Translation provider
+ */
+function createProvider(name, translate) {
+  return {
+    name,
+    model: name,
+    capabilities: { maxBatchSize: 50, contextWindow: null, maxOutputTokens: null, supportedLanguages: null },
+    isConfigured: () => true,
+    async translateBatch(items) {
+      const result = {};
+      items.forEach(item => {
+        const translation = translate(item);
+        if (translation !== undefined) result[item.id] = translation;
+      });
+      return result;
+    }
+  };
+}
+
+// Drops every placeholder
+const mangling = name => createProvider(name, item => `${name}: ${item.text.replace(/\{\d+\}/g, '')}`);
+
+// Keeps the text as it is, placeholders included
+const faithful = name => createProvider(name, item => `${name}: ${item.text}`);
+
+// Fails every call with the error it is given
+const failing = (name, error) => ({ ...createProvider(name, () => undefined), translateBatch: async () => { throw error; } });
+
+const ITEMS = [{ id: '1', text: 'Hi {1}you{2}' }, { id: '2', text: 'Plain' }];
+
+test('a failing provider is retried and the batch then goes to the next provider', async t => {
+  const first = failing('first', new Error('timeout of 120000ms exceeded'));
+  const second = faithful('second');
+  const calls = t.mock.method(first, 'translateBatch');
+
+  const result = await translationService.translateBatchWithFallback(ITEMS, REQUEST, [first, second]);
+
+  assert.strictEqual(calls.mock.callCount(), 2);
+  assert.deepStrictEqual(result.translations, ['second: Hi {1}you{2}', 'second: Plain']);
+  assert.deepStrictEqual(result.providers, [second, second]);
+  assert.strictEqual(result.clean, false);
+});
+
+test('cues every provider fails on keep their original text', async () => {
+  const result = await translationService.translateBatchWithFallback(ITEMS, REQUEST, [failing('first', new Error('down'))]);
+
+  assert.deepStrictEqual(result.translations, ['Hi {1}you{2}', 'Plain']);
+  assert.deepStrictEqual(result.providers, [null, null]);
+});
+
+test('only the cues a provider left out go to the next provider', async t => {
+  const first = createProvider('first', item => (item.id === '2' ? undefined : `first: ${item.text}`));
+  const second = faithful('second');
+  const calls = t.mock.method(second, 'translateBatch');
+
+  const result = await translationService.translateBatchWithFallback(ITEMS, REQUEST, [first, second]);
+
+  assert.deepStrictEqual(result.translations, ['first: Hi {1}you{2}', 'second: Plain']);
+  assert.deepStrictEqual(calls.mock.calls.map(call => call.arguments[0].map(item => item.id)), [['2']]);
+});
+
+test('a provider that answers the whole batch cleanly marks it clean', async () => {
+  const first = faithful('first');
+  const result = await translationService.translateBatchWithFallback(ITEMS, REQUEST, [first, faithful('second')]);
+
+  assert.deepStrictEqual(result.providers, [first, first]);
+  assert.strictEqual(result.clean, true);
+});
+
+test('a translation that lost placeholders goes to the next provider first', async () => {
+  const first = mangling('first');
+  const second = faithful('second');
+  const result = await translationService.translateBatchWithFallback(ITEMS, REQUEST, [first, second]);
+
+  assert.deepStrictEqual(result.translations, ['second: Hi {1}you{2}', 'first: Plain']);
+  assert.deepStrictEqual(result.providers, [second, first]);
+  assert.deepStrictEqual(result.settled, [false, false]);
+});
+
+test('the first mangled translation is settled for when no provider keeps the placeholders', async () => {
+  const first = mangling('first');
+  const second = mangling('second');
+  const result = await translationService.translateBatchWithFallback(ITEMS, REQUEST, [first, second]);
+
+  assert.deepStrictEqual(result.translations, ['first: Hi you', 'first: Plain']);
+  assert.deepStrictEqual(result.providers, [first, first]);
+  assert.deepStrictEqual(result.settled, [true, false]);
+});
+
+test('translations are matched to cues by ID, whatever order they come in', async () => {
+  const items = [{ id: '1', text: 'One' }, { id: '2', text: 'Two' }, { id: '3', text: 'Three' }];
+  const provider = {
+    ...faithful('shuffled'),
+    translateBatch: async () => ({ 3: 'Τρία', 99: 'Ninety-nine', 1: 'Ένα', 2: 'Δύο' })
+  };
+
+  const result = await translationService.translateBatchWithFallback(items, REQUEST, [provider]);
+
+  assert.deepStrictEqual(result.translations, ['Ένα', 'Δύο', 'Τρία']);
+
+  // An ID that wasn't asked for means the reply can't be trusted to be clean
+  assert.strictEqual(result.clean, false);
+});
+
+test('a reply cut off at the output limit is requested again in halves', async t => {
+  const items = [{ id: '1', text: 'One' }, { id: '2', text: 'Two' }, { id: '3', text: 'Three' }, { id: '4', text: 'Four' }];
+  const provider = faithful('truncating');
+  const translate = provider.translateBatch;
+  const calls = t.mock.method(provider, 'translateBatch', async (batch, request) => {
+    if (batch.length > 2) throw llm.createTruncatedError('truncating');
+    return translate(batch, request);
+  });
+
+  const result = await translationService.translateBatchWithFallback(items, REQUEST, [provider]);
+
+  assert.deepStrictEqual(result.translations, items.map(item => `truncating: ${item.text}`));
+  assert.deepStrictEqual(calls.mock.calls.map(call => call.arguments[0].length), [4, 2, 2]);
+});
+
+/**
+ * Build an SRT file no earlier run has translated, so nothing comes from the cache
+ * @param {number} count - Number of cues
+ * @returns {string} - SRT content
+ */
+function createSrt(count) {
+  const run = `${process.pid}-${Date.now()}-${Math.random()}`;
+
+  return Array.from({ length: count }, (value, index) => {
+    const second = String(index + 1).padStart(2, '0');
+    return `${index + 1}\n00:00:${second},000 --> 00:00:${second},500\nLine ${index + 1} of ${run}\n`;
+  }).join('\n');
+}
+
+/**
+ * Translate with a provider chain of test providers, leaving the translation memory out
+ * @param {Object} t - Test context
+ * @param {Array<Object>} providers - Provider chain
+ */
+function useProviders(t, providers) {
+  t.mock.method(translationProviders, 'getProviderChain', () => providers);
+  t.mock.method(translationMemory, 'findTranslations', async () => ({}));
+  t.mock.method(translationMemory, 'remember', async () => {});
+}
+
+test('concurrent requests for the same translation share one run', async t => {
+  const provider = faithful('shared');
+  const calls = t.mock.method(provider, 'translateBatch');
+  useProviders(t, [provider]);
+
+  const content = createSrt(3);
+  const progress = [];
+  const [first, second] = await Promise.all([
+    translationService.translateSubtitleWithStatus(content, 'en', 'el'),
+    translationService.translateSubtitleWithStatus(content, 'en', 'el', { onProgress: update => progress.push(update.completed) })
+  ]);
+
+  assert.strictEqual(calls.mock.callCount(), 1);
+  assert.deepStrictEqual(second, first);
+  assert.strictEqual(first.status, translationService.TRANSLATION_STATUS.COMPLETE);
+  assert.match(first.content, /shared: Line 3/);
+
+  // The request that joined still hears how the run progresses
+  assert.strictEqual(progress[progress.length - 1], 3);
+});
+
+test('an interrupted translation resumes from its checkpoint', async t => {
+  const content = createSrt(12);
+
+  // The first batch (the opening ten cues) gets through, the rest fail
+  const failingRest = createProvider('resumable', item => (Number(item.id) > 10 ? undefined : `resumable: ${item.text}`));
+  useProviders(t, [failingRest]);
+
+  const interrupted = await translationService.translateSubtitleWithStatus(content, 'en', 'el');
+  assert.strictEqual(interrupted.status, translationService.TRANSLATION_STATUS.PARTIAL);
+
+  // A later run only sends the cues the checkpoint doesn't have
+  const provider = faithful('resumable');
+  const calls = t.mock.method(provider, 'translateBatch');
+  t.mock.method(translationProviders, 'getProviderChain', () => [provider]);
+
+  const resumed = await translationService.translateSubtitleWithStatus(content, 'en', 'el');
+
+  assert.strictEqual(resumed.status, translationService.TRANSLATION_STATUS.COMPLETE);
+  assert.deepStrictEqual(calls.mock.calls.map(call => call.arguments[0].map(item => item.id)), [['11', '12']]);
+  assert.match(resumed.content, /resumable: Line 12/);
+
+  // The finished translation is cached
+  await translationService.translateSubtitleWithStatus(content, 'en', 'el');
+  assert.strictEqual(calls.mock.callCount(), 1);
+});
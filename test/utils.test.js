@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const utils = require('../lib/utils');
+
+test('movie IDs are plain IMDb IDs', () => {
+  assert.deepStrictEqual(utils.parseMediaId('tt0133093'), {
+    id: 'tt0133093',
+    source: 'imdb',
+    sourceId: 'tt0133093',
+    imdbId: 'tt0133093',
+    season: null,
+    episode: null,
+    isEpisode: false
+  });
+});
+
+test('series episode IDs add the season and episode', () => {
+  const imdb = utils.parseMediaId('tt0944947:1:5');
+  assert.deepStrictEqual([imdb.imdbId, imdb.season, imdb.episode, imdb.isEpisode], ['tt0944947', 1, 5, true]);
+
+  const tmdb = utils.parseMediaId('tmdb:1399:2:3');
+  assert.deepStrictEqual([tmdb.source, tmdb.sourceId, tmdb.imdbId, tmdb.season, tmdb.episode], ['tmdb', '1399', null, 2, 3]);
+});
+
+test('anime IDs number episodes per entry', () => {
+  const kitsu = utils.parseMediaId('kitsu:1376:3');
+  assert.deepStrictEqual([kitsu.source, kitsu.sourceId, kitsu.season, kitsu.episode, kitsu.isEpisode], ['kitsu', '1376', null, 3, true]);
+
+  const movie = utils.parseMediaId('anilist:1535');
+  assert.deepStrictEqual([movie.source, movie.sourceId, movie.isEpisode], ['anilist', '1535', false]);
+});
+
+test('IDs that aren\'t recognized keep an unknown source', () => {
+  const parsed = utils.parseMediaId('something');
+  assert.deepStrictEqual([parsed.source, parsed.sourceId, parsed.isEpisode], ['unknown', null, false]);
+
+  assert.strictEqual(utils.parseMediaId('tt0944947:x:y').isEpisode, false);
+});
+
+test('Stremio extras are read from the path segment and checked', () => {
+  assert.deepStrictEqual(utils.parseStremioExtra('videoHash=8E245D9679D31E12&videoSize=1234&filename=Movie.2020.1080p.mkv.json'), {
+    videoHash: '8e245d9679d31e12',
+    videoSize: '1234',
+    filename: 'Movie.2020.1080p.mkv'
+  });
+
+  assert.deepStrictEqual(utils.parseStremioExtra({ videoHash: 'not-a-hash', videoSize: '-1', filename: '  ' }), {});
+  assert.deepStrictEqual(utils.parseStremioExtra(undefined), {});
+});